@@ -0,0 +1,133 @@
+/**
+ * Competition and application signals of a detail page: applicant count,
+ * vacancies, how to apply, and (opt-in) contact emails / phones from the description
+ */
+import { load as cheerioLoad } from 'cheerio';
+
+import { normText, cleanHtmlToText } from './text.js';
+
+export const APPLY_TYPES = ['internal', 'external', 'email'];
+
+const APPLY_TEXT_RE = /\b(postular(me|se)?|post[uú]late|aplicar|aplica ahora|inscrib(irme|ete)|enviar (mi )?(cv|solicitud))\b/i;
+const APPLY_ATTR_SELECTOR = '[data-apply-ac], [data-apply], #applyButton, .js-apply';
+const APPLICANTS_RES = [
+    /\b(m[aá]s de )?(\d[\d.,]*) (?:personas |candidatos )?(?:inscritos|inscritas|postulados|postulantes|postulaciones)\b/i,
+    /\b(?:inscritos|postulados|postulantes)\s*:\s*(m[aá]s de )?(\d[\d.,]*)/i,
+];
+const VACANCIES_RES = [/\bvacantes?\s*:\s*(\d+)/i, /\b(\d+) (?:plazas|vacantes?)\b/i];
+// Offer header and attribute list; similar-offer cards and footers carry counts of other offers
+const OFFER_SUMMARY_SELECTOR = '.box_header, .box_attributes';
+const EMAIL_RE = /[a-z0-9._%+-]+@[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}/gi;
+// "(81) 8123-4567", "+52 55 1234 5678", "33.1234.5678"; amounts have commas and never match
+const PHONE_RE = /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,3}\)|\d{2,3})[\s.-]?\d{3,4}[\s.-]?\d{4}\b/g;
+const CV_EMAIL_RE = /\b(env[ií]a|enviar|manda|mandar|hacer llegar)\b[^.]{0,60}\b(cv|curr[ií]culum|solicitud|hoja de vida)\b/i;
+
+const toCount = (raw) => {
+    const n = Number(String(raw).replace(/[.,]/g, ''));
+    return Number.isInteger(n) ? n : null;
+};
+
+const firstMatch = (text, regexes) => {
+    for (const re of regexes) {
+        const m = text.match(re);
+        if (m) return m;
+    }
+    return null;
+};
+
+const hostOf = (href) => {
+    try {
+        return new URL(href).hostname;
+    } catch {
+        return null;
+    }
+};
+
+// Absolute URL of a link, or null when it does not parse
+const resolveHref = (href, base) => {
+    try {
+        return new URL(href, base).href;
+    } catch {
+        return null;
+    }
+};
+
+// Computrabajo (any country) or the page's own host
+const isSiteHost = (host, pageUrl) => !!host && (/(^|\.)computrabajo\.com(\.[a-z]{2})?$/.test(host) || host === hostOf(pageUrl));
+
+/**
+ * Emails and phone numbers found in description text, deduplicated.
+ * Phones keep their digits (and a leading +) when they have 10 to 13 digits.
+ */
+export const extractContacts = (text) => {
+    const t = String(text || '');
+    const emails = [...new Set((t.match(EMAIL_RE) || []).map((e) => e.toLowerCase().replace(/\.+$/, '')))];
+    const phones = [];
+    for (const raw of t.match(PHONE_RE) || []) {
+        const digits = raw.replace(/\D/g, '');
+        if (digits.length < 10 || digits.length > 13) continue;
+        const phone = raw.trim().startsWith('+') ? `+${digits}` : digits;
+        if (!phones.includes(phone)) phones.push(phone);
+    }
+    return { contact_emails: emails, contact_phones: phones };
+};
+
+// Apply button / link of the page itself: { apply_url, apply_type } or null
+const applyFromButton = ($, url) => {
+    const el = $('a, button')
+        .filter((_, node) => $(node).is(APPLY_ATTR_SELECTOR) || APPLY_TEXT_RE.test(normText($(node).text())))
+        .first();
+    if (!el.length) return null;
+    const href = normText(el.attr('href'));
+    if (/^mailto:/i.test(href)) return { apply_url: href.split('?')[0], apply_type: 'email' };
+    const resolved = href && !/^(#|javascript:)/i.test(href) ? resolveHref(href, url) : null;
+    if (resolved && !isSiteHost(hostOf(resolved), url)) return { apply_url: resolved, apply_type: 'external' };
+    return { apply_url: resolved || url, apply_type: 'internal' };
+};
+
+// Application method written in the description: an apply link, or "envía tu CV a rh@..."
+const applyFromDescription = (descriptionHtml, descriptionText, url) => {
+    if (descriptionHtml) {
+        const $d = cheerioLoad(descriptionHtml);
+        const link = $d('a[href]').filter((_, a) => APPLY_TEXT_RE.test(normText($d(a).text()))).first();
+        const href = link.length ? resolveHref(link.attr('href'), url) : null;
+        if (href && /^https?:/.test(href) && !isSiteHost(hostOf(href), url)) return { apply_url: href, apply_type: 'external' };
+    }
+    const text = descriptionText || cleanHtmlToText(descriptionHtml) || '';
+    const cv = text.match(CV_EMAIL_RE);
+    const email = cv && text.slice(cv.index).match(EMAIL_RE)?.[0];
+    return email ? { apply_url: `mailto:${email.toLowerCase()}`, apply_type: 'email' } : null;
+};
+
+/**
+ * { applicants_count, vacancies, apply_url, apply_type } plus, with
+ * includeContacts, { contact_emails, contact_phones } from the sanitized
+ * description. Counts are read from the offer header and attribute list only;
+ * "Más de 100 inscritos" counts as 100; "0 vacantes" gives null. An application email
+ * only shows in apply_url with includeContacts (apply_type says "email" either way).
+ * `source` names where the apply method came from, for the run report.
+ */
+export const extractApplication = ($, url, { descriptionHtml = null, descriptionText = null, includeContacts = false } = {}) => {
+    const summaryText = $(OFFER_SUMMARY_SELECTOR).map((_, el) => cleanHtmlToText($(el).html())).get().join('\n');
+
+    const applicants = firstMatch(summaryText, APPLICANTS_RES);
+    const vacancies = firstMatch(summaryText, VACANCIES_RES);
+
+    const fromButton = applyFromButton($, url);
+    const fromDescription = fromButton ? null : applyFromDescription(descriptionHtml, descriptionText, url);
+    const apply = fromButton || fromDescription || { apply_url: null, apply_type: null };
+    if (apply.apply_type === 'email' && !includeContacts) apply.apply_url = null;
+
+    const vacancyCount = vacancies ? toCount(vacancies[1]) : null;
+    const out = {
+        applicants_count: applicants ? toCount(applicants[2]) : null,
+        vacancies: vacancyCount > 0 ? vacancyCount : null,
+        ...apply,
+    };
+    if (includeContacts) Object.assign(out, extractContacts(descriptionText || cleanHtmlToText(descriptionHtml)));
+
+    let source = null;
+    if (fromButton) source = 'apply button';
+    else if (fromDescription) source = fromDescription.apply_type === 'email' ? 'description email' : 'description link';
+    return { application: out, source };
+};
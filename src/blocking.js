@@ -0,0 +1,126 @@
+/**
+ * Page outcome detection: tells real pages from blocks, captchas, rate limits,
+ * missing pages and closed offers by scoring several independent signals
+ */
+import { normText } from './text.js';
+
+export const PAGE_OUTCOMES = {
+    OK: 'ok',
+    SOFT_BLOCK: 'soft_block', // login wall, empty or foreign page: retire the session and retry
+    CAPTCHA: 'captcha', // Cloudflare / reCAPTCHA / hCaptcha challenge: retire the session and retry
+    RATE_LIMITED: 'rate_limited', // 429: back off, then retry
+    NOT_FOUND: 'not_found', // 404 / 410: skip without retry
+    EXPIRED_OFFER: 'expired_offer', // offer closed by the employer: save as expired
+};
+
+// First outcome reaching a score of 1 wins, in this order
+const PRECEDENCE = ['captcha', 'rate_limited', 'expired_offer', 'not_found', 'soft_block'];
+
+const CHALLENGE_MARKERS = [
+    /cf-browser-verification|cf_chl_|challenge-platform|cf-challenge/i,
+    /g-recaptcha|grecaptcha|h-captcha|hcaptcha|turnstile/i,
+];
+const CHALLENGE_TITLE_RE = /just a moment|attention required|un momento|verifica(?:ndo)? que eres humano|verificaci[oó]n de seguridad|captcha/i;
+const LOGIN_PATH_RE = /\/(?:login|signin|sign-in|acceso|ingresar)\b|\/candidato\/(?:login|acceso|registro)\b/i;
+const LOGIN_TITLE_RE = /^(?:iniciar sesi[oó]n|inicia sesi[oó]n|sign in|acceso)\b/i;
+const EXPIRED_TEXT_RE = new RegExp([
+    'oferta (?:ya )?no (?:est[aá]|se encuentra) (?:disponible|activa|vigente)',
+    'esta (?:oferta|vacante) (?:ha )?(?:expirado|caducado|finalizado|cerrado|vencido)',
+    'ya no (?:acepta|recibe) (?:postulaciones|candidatos|inscripciones)',
+    'proceso de selecci[oó]n (?:ha )?(?:finalizado|terminado|concluido)',
+    '(?:oferta|vacante) (?:cerrada|finalizada|expirada)',
+].join('|'), 'i');
+const DETAIL_PATH_RE = /\/oferta-|\/job\/|\/empleo\/|\/vacante\//i;
+
+// DOM a real page of each type always has; a page without them is suspicious
+const hasExpectedAnchors = ($, pageType) => {
+    if (pageType === 'DETAIL') {
+        return $('h1, [class*="title_offer"]').length > 0 || /JobPosting/.test($('script[type="application/ld+json"]').text());
+    }
+    if (pageType === 'COMPANY') return $('h1').length > 0 || /Organization/.test($('script[type="application/ld+json"]').text());
+    // Listing: offer cards, or Computrabajo's own "no results" message
+    return $('article.box_offer, .box_offer, article[data-id], #offersGridOfferContainer').length > 0 ||
+        /no (?:se )?(?:encontr|hay)\w* (?:ofertas|resultados|empleos)/i.test(normText($('main, body').first().text()));
+};
+
+const pathOf = (url) => {
+    try {
+        return new URL(url).pathname;
+    } catch {
+        return '';
+    }
+};
+
+/**
+ * Classify a fetched page. pageType is 'LIST', 'DETAIL' or 'COMPANY'.
+ * Returns { outcome, signals } where signals names every signal that fired.
+ * Strong signals (status codes, challenge markers, login redirects) decide
+ * alone; weak ones (tiny body, missing DOM anchors, password form, login
+ * title) only count together, so header links like "Iniciar sesión" or
+ * "Crear cuenta" on a normal page never block it.
+ */
+export const detectPageOutcome = ({ $, statusCode = 200, url, loadedUrl = url, bodyLength = null, pageType = 'LIST' }) => {
+    const scores = {};
+    const signals = [];
+    const add = (outcome, weight, signal) => {
+        scores[outcome] = (scores[outcome] || 0) + weight;
+        signals.push(signal);
+    };
+
+    const title = normText($('title').first().text());
+    const bodyText = normText($('body').text());
+    const html = $.html();
+    const anchorsFound = hasExpectedAnchors($, pageType);
+
+    // HTTP status
+    if (statusCode === 429) add('rate_limited', 1, 'status_429');
+    if (statusCode === 404 || statusCode === 410) add('not_found', 1, `status_${statusCode}`);
+    if (statusCode === 401 || statusCode === 403) add('soft_block', 1, `status_${statusCode}`);
+
+    // Challenge pages (Cloudflare often answers 403 / 503 with one). Real pages may embed
+    // a captcha widget for their own forms, so markup alone only decides without content.
+    if (CHALLENGE_MARKERS.some((re) => re.test(html))) add('captcha', anchorsFound ? 0.5 : 1, 'challenge_markup');
+    if (CHALLENGE_TITLE_RE.test(title)) add('captcha', statusCode >= 400 ? 1 : 0.5, 'challenge_title');
+    if (statusCode === 503 && !anchorsFound) add('captcha', 0.5, 'status_503');
+
+    // Redirected to a login page
+    const loadedPath = pathOf(loadedUrl);
+    if (LOGIN_PATH_RE.test(loadedPath) && !LOGIN_PATH_RE.test(pathOf(url))) add('soft_block', 1, 'login_redirect');
+    if (LOGIN_TITLE_RE.test(title)) add('soft_block', 0.5, 'login_title');
+    // A password field in the page body (not the header or a login pop-up) means the page is a login form
+    const bodyPasswordFields = $('input[type="password"]').filter((_, el) => !$(el).closest('header, nav, dialog, [class*="modal"], [class*="popup"]').length);
+    if (bodyPasswordFields.length) add('soft_block', 0.5, 'password_form');
+
+    // Empty or foreign page
+    if ((bodyLength != null && bodyLength < 512) || bodyText.length < 50) add('soft_block', 0.5, 'tiny_body');
+    if (!anchorsFound) add('soft_block', 0.5, 'missing_anchors');
+
+    // Closed offers: explicit notice, or the offer URL now lands on a non-offer page
+    if (pageType === 'DETAIL') {
+        if (EXPIRED_TEXT_RE.test(bodyText)) add('expired_offer', 1, 'expired_notice');
+        else if (loadedPath && !DETAIL_PATH_RE.test(loadedPath) && !LOGIN_PATH_RE.test(loadedPath)) add('expired_offer', 1, 'redirected_off_offer');
+    }
+
+    const outcome = PRECEDENCE.find((o) => (scores[o] || 0) >= 1) || PAGE_OUTCOMES.OK;
+    return { outcome, signals };
+};
+
+/**
+ * Outcome of a robots.txt or sitemap response, which has no HTML to score:
+ * status codes, challenge markup, and whether the body had the expected
+ * format (wellFormed; a block page served instead of a sitemap is not).
+ */
+export const detectFeedOutcome = ({ statusCode = 200, text = '', wellFormed = true }) => {
+    const signals = [];
+    let outcome = PAGE_OUTCOMES.OK;
+    if (statusCode === 429) outcome = PAGE_OUTCOMES.RATE_LIMITED;
+    else if (statusCode === 404 || statusCode === 410) outcome = PAGE_OUTCOMES.NOT_FOUND;
+    else if (CHALLENGE_MARKERS.some((re) => re.test(text))) outcome = PAGE_OUTCOMES.CAPTCHA;
+    else if (statusCode >= 400) outcome = PAGE_OUTCOMES.SOFT_BLOCK;
+    else if (!wellFormed) outcome = PAGE_OUTCOMES.SOFT_BLOCK;
+
+    if (statusCode >= 400) signals.push(`status_${statusCode}`);
+    if (outcome === PAGE_OUTCOMES.CAPTCHA) signals.push('challenge_markup');
+    if (!wellFormed && statusCode < 400) signals.push('malformed_feed');
+    return { outcome, signals };
+};
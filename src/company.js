@@ -0,0 +1,78 @@
+/**
+ * Company profile pages (/empresas/{slug}): rating, reviews, industry, size,
+ * headquarters, description and open offers
+ */
+import { normText, pickFirstNonEmpty, cleanHtmlToText } from './text.js';
+import { extractLabeledValue, parseAllJsonLd } from './fields.js';
+import { cleanCompanyName } from './detail.js';
+import { getCountrySite } from './sites.js';
+import { parseSpanishNumber } from './salary.js';
+import { parseCompanyUrl } from './ids.js';
+
+export const COMPANIES_DATASET = 'companies';
+
+// "4,2" -> 4.2; "1.234 evaluaciones" -> 1234
+const toNumber = (raw) => {
+    const m = normText(raw).match(/\d[\d.,]*/);
+    return m ? parseSpanishNumber(m[0]) : null;
+};
+
+// First short text node matching re, e.g. "37 ofertas de empleo" -> 37
+const countNear = ($, re) => {
+    let n = null;
+    $('a, span, p, div, h2, h3').each((_, el) => {
+        if ($(el).children().length > 1) return;
+        const m = normText($(el).text()).match(re);
+        if (m) {
+            n = toNumber(m[1]);
+            return false;
+        }
+    });
+    return n;
+};
+
+/**
+ * Profile page record. JSON-LD Organization data wins; the rest comes from
+ * the header chips and "Sector / Tamaño / Sede" labels.
+ */
+export const extractCompanyProfile = ($, url, site = getCountrySite(url)) => {
+    const { company_id, company_url } = parseCompanyUrl(url) || { company_id: null, company_url: null };
+    const items = parseAllJsonLd($, ['Organization', 'Corporation', 'LocalBusiness']) || {};
+    const address = items.address || {};
+
+    const name = cleanCompanyName(pickFirstNonEmpty(items.name, $('h1').first().text(), $('title').text().split('|')[0]));
+    const rating = toNumber(pickFirstNonEmpty(
+        items.aggregateRating?.ratingValue,
+        $('[itemprop="ratingValue"]').first().attr('content'),
+        $('.box_header [class*="rating"], .box_header .fwB.fs21, .rating_value').first().text(),
+    ));
+    const review_count = toNumber(items.aggregateRating?.reviewCount ?? items.aggregateRating?.ratingCount) ??
+        countNear($, /(\d[\d.,]*)\s+(?:evaluaciones|opiniones|reseñas)/i);
+    const open_offers = countNear($, /(\d[\d.,]*)\s+(?:ofertas?|vacantes?|empleos?)\b/i);
+
+    // "Acerca de" block without its heading
+    const $about = $('#about, [class*="about"], .box_detail .fs16, .box_detail p').first().clone();
+    $about.find('h1, h2, h3, h4').remove();
+    const descriptionHtml = $about.html();
+    const description = normText(pickFirstNonEmpty(items.description, descriptionHtml && cleanHtmlToText(descriptionHtml))) || null;
+
+    return {
+        company_id,
+        company_url,
+        country: site.code,
+        site_domain: site.domain,
+        name: name || null,
+        rating: rating != null && rating <= 5 ? rating : null,
+        review_count,
+        industry: pickFirstNonEmpty(items.industry, extractLabeledValue($, [/^sector/i, /^industria/i, /^actividad/i])) || null,
+        size: pickFirstNonEmpty(items.numberOfEmployees?.value, items.numberOfEmployees?.name,
+            extractLabeledValue($, [/^tama[ñn]o/i, /^empleados/i, /^n[uú]mero de empleados/i])) || null,
+        headquarters: pickFirstNonEmpty(
+            [address.addressLocality, address.addressRegion].map(normText).filter(Boolean).join(', '),
+            extractLabeledValue($, [/^sede/i, /^oficinas? (?:central|principal)/i, /^ubicaci[oó]n/i, /^direcci[oó]n/i]),
+        ) || null,
+        description,
+        open_offers,
+        scraped_at: new Date().toISOString(),
+    };
+};
@@ -0,0 +1,71 @@
+/**
+ * Custom cookie inputs (raw header / JSON) for the session cookie jars
+ */
+
+// -------------------- Custom cookies --------------------
+
+const COOKIE_NAME_RE = /^[^\s=;,]+$/;
+
+const toCookie = (name, value, extra = {}) => {
+    const n = String(name ?? '').trim();
+    if (!COOKIE_NAME_RE.test(n)) throw new Error(`Invalid cookie name "${n}"`);
+    const cookie = { name: n, value: value == null ? '' : String(value) };
+    if (extra.domain) cookie.domain = String(extra.domain).trim().toLowerCase();
+    if (extra.path) cookie.path = String(extra.path);
+    const expires = extra.expires ?? extra.expirationDate;
+    if (typeof expires === 'number' && expires > 0) cookie.expires = expires;
+    if (extra.secure != null) cookie.secure = Boolean(extra.secure);
+    if (extra.httpOnly != null) cookie.httpOnly = Boolean(extra.httpOnly);
+    return cookie;
+};
+
+/**
+ * Parse the `cookies` (raw "a=1; b=2" header) and `cookiesJson` inputs into
+ * cookie objects. cookiesJson accepts an array of { name, value, domain?, path? }
+ * (e.g. a browser export) or a { name: value } map. Throws with a readable
+ * message on malformed input so the run fails before any request is made.
+ */
+export const parseCustomCookies = ({ cookies, cookiesJson } = {}) => {
+    const out = [];
+
+    const raw = String(cookies || '').trim().replace(/^cookie:\s*/i, '');
+    for (const pair of raw.split(';')) {
+        if (!pair.trim()) continue;
+        const idx = pair.indexOf('=');
+        if (idx <= 0) throw new Error(`Invalid "cookies" input: expected "name=value" pairs, got "${pair.trim()}"`);
+        out.push(toCookie(pair.slice(0, idx), pair.slice(idx + 1).trim()));
+    }
+
+    const json = String(cookiesJson || '').trim();
+    if (json) {
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (err) {
+            throw new Error(`Invalid "cookiesJson" input: malformed JSON (${err.message})`);
+        }
+        try {
+            if (Array.isArray(data)) {
+                for (const item of data) {
+                    if (!item || typeof item !== 'object') throw new Error('array items must be cookie objects');
+                    out.push(toCookie(item.name, item.value, item));
+                }
+            } else if (data && typeof data === 'object') {
+                for (const [name, value] of Object.entries(data)) out.push(toCookie(name, value));
+            } else {
+                throw new Error('expected an array of cookies or an object map');
+            }
+        } catch (err) {
+            throw new Error(`Invalid "cookiesJson" input: ${err.message}`);
+        }
+    }
+
+    return out;
+};
+
+// Cookies with a domain only go to matching sites; the rest are set host-only per country site
+export const cookiesForSite = (cookies, site) => cookies.filter((c) => {
+    if (!c.domain) return true;
+    const d = c.domain.replace(/^\./, '');
+    return site.domain === d || site.domain.endsWith(`.${d}`);
+});
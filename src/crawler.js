@@ -0,0 +1,627 @@
+/**
+ * CheerioCrawler setup: request routing, pagination and anti-bot headers.
+ * Run state lives in the object returned by createCrawler so the crawl can
+ * be driven from the actor entry point or from tests.
+ */
+import { CheerioCrawler, Dataset, log as crawleeLog } from 'crawlee';
+
+import { extractJobDetailWithStrategies } from './detail.js';
+import { normText } from './text.js';
+import { cleanJobUrl, getOfferKey, isDetailUrl, getNextPageUrl, extractListingCards, toSearchContext } from './listing.js';
+import { getCountrySite, parseSearchQuery } from './sites.js';
+import { cookiesForSite } from './cookies.js';
+import { parseOfferIdFromUrl, offerUniqueKey, companyUniqueKey } from './ids.js';
+import { COMPANIES_DATASET, extractCompanyProfile } from './company.js';
+import { getFilterReason } from './filters.js';
+import { PAGE_OUTCOMES, detectPageOutcome, detectFeedOutcome } from './blocking.js';
+import {
+    DISCOVERY_MIME_TYPES, parseRobotsSitemaps, decodeSitemapBody, parseSitemap, isModifiedSince, classifyDiscoveredUrl, extractHubLinks,
+} from './discovery.js';
+import { createAdaptiveThrottle, throttleKey } from './throttle.js';
+import { createQualityTracker } from './report.js';
+import { queryListUniqueKey } from './queries.js';
+import { pushValidated } from './schema.js';
+
+// Realistic user agents (recent browsers)
+const USER_AGENTS = [
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/119.0.0.0 Safari/537.36',
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/119.0.0.0 Safari/537.36',
+    'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/119.0.0.0 Safari/537.36',
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:120.0) Gecko/20100101 Firefox/120.0',
+];
+
+const getRandomUserAgent = () => USER_AGENTS[Math.floor(Math.random() * USER_AGENTS.length)];
+
+// Longest throttle sleep (Retry-After pause plus widened delay) before one navigation.
+// The sleep runs in a pre-navigation hook, inside the request's timeout, so the
+// crawler's handler timeout is extended by this much.
+const THROTTLE_MAX_WAIT_SECS = 60;
+
+// Listing page request; pagination depth is tracked from the start URL's first page.
+// searchQuery defaults to the keyword in the URL (see parseSearchQuery); queryId ties
+// the page to a batched query (see parseQueries).
+export const toListRequest = ({ url, startUrl = url, page = 1, searchQuery = parseSearchQuery(startUrl), queryId = null }) => ({
+    url,
+    ...(queryId && { uniqueKey: queryListUniqueKey(queryId, url) }),
+    userData: { label: 'LIST', startUrl, page, searchQuery, ...(queryId && { queryId }) },
+});
+
+export const createCrawler = ({
+    requestQueue,
+    proxyConfiguration,
+    maxRequestsPerCrawl = 1000,
+    maxConcurrency = 3,
+    requestHandlerTimeoutSecs = 60,
+    maxRequestRetries = 3,
+    maxResultsDesired = 50,
+    collectDetails = true,
+    maxPagesPerStart = 10,
+    customCookies = [],
+    seenOffers = null, // incremental mode store (see openSeenOffers)
+    collectCompanies = false,
+    collectContacts = false, // contact emails / phones found in descriptions
+    delivery = null, // webhook delivery (see createWebhookDelivery)
+    filters = null, // compiled filter inputs (see parseFilterOptions)
+    discovery = null, // compiled discovery inputs (see parseDiscoveryOptions)
+    queries = [], // batched searches (see parseQueries); maxResultsDesired stays the run's total cap
+    requestDelayMs = 2000, // baseline pause before each request, adapted per domain / proxy group
+    throttleLogIntervalSecs = 60,
+}) => {
+    // -------------------- Run tracking --------------------
+    const state = {
+        totalJobsSaved: 0,
+        maxResultsDesired,
+        seenOfferKeys: new Set(), // offers found on listing pages this run (getOfferKey: offer ID or URL)
+        processedJobIds: new Set(), // job_id of every record saved or filtered out this run
+        duplicatesSkipped: 0,
+        companiesSaved: 0,
+        filterReasons: {}, // filter_reason -> number of records dropped
+        pageOutcomes: {}, // detectPageOutcome outcome -> number of pages
+        expiredOffers: 0,
+        // Listing pages / feeds that failed for good (blocked or erroring); offers they list
+        // went unseen, so incremental expiry is unsafe
+        searchesFailed: 0,
+        sessionsRetired: 0,
+        quarantined: 0, // records that failed output validation
+        quality: createQualityTracker(), // fill rates, winning strategies and failures for RUN_REPORT
+        discovery: { sitemapsRead: 0, offersQueued: 0, hubsQueued: 0, staleSkipped: 0 },
+        // queryId -> per-query counters of batched searches
+        queries: Object.fromEntries(queries.map((q) => [q.id, {
+            tag: q.tag,
+            search_url: q.url,
+            search_query: q.searchQuery,
+            wanted: q.maxResults,
+            max_pages: q.maxPages,
+            saved: 0,
+            filtered: 0,
+            duplicates_skipped: 0,
+            pages: 0,
+        }])),
+    };
+
+    // -------------------- Batched queries --------------------
+
+    // Offers found so far by each query; drives its pagination independently of the others
+    const querySeenKeys = new Map(queries.map((q) => [q.id, new Set()]));
+
+    const queryOf = (request) => state.queries[request.userData.queryId] || null;
+
+    // Results still wanted for a query (the run when null), within the run's total
+    const remainingFor = (query) => Math.max(0, Math.min(
+        maxResultsDesired - state.totalJobsSaved,
+        query ? query.wanted - query.saved : Infinity,
+    ));
+
+    const countSaved = (query, n) => {
+        state.totalJobsSaved += n;
+        if (query) query.saved += n;
+    };
+
+    const progress = (query) => (query ? `${query.saved}/${query.wanted} "${query.tag}"` : `${state.totalJobsSaved}/${maxResultsDesired}`);
+
+    // filter_reason of a record rejected by the filter inputs (counted here), else null.
+    // Rejected records never reach the dataset and don't count toward results_wanted.
+    const rejectByFilters = (record, query = null) => {
+        const reason = getFilterReason(record, filters);
+        if (reason) {
+            state.filterReasons[reason] = (state.filterReasons[reason] || 0) + 1;
+            state.processedJobIds.add(record.job_id);
+            if (query) query.filtered++;
+        }
+        return reason;
+    };
+
+    // Pacing and concurrency follow page outcomes; the pool only exists while the crawler runs
+    let crawler;
+    const throttle = createAdaptiveThrottle({
+        baseDelayMs: requestDelayMs,
+        maxWaitMs: THROTTLE_MAX_WAIT_SECS * 1000,
+        maxConcurrency,
+        setConcurrency: (n) => {
+            const pool = crawler?.autoscaledPool;
+            if (!pool) return;
+            pool.maxConcurrency = n;
+            if (pool.desiredConcurrency > n) pool.desiredConcurrency = n;
+        },
+        log: crawleeLog,
+        logIntervalSecs: throttleLogIntervalSecs,
+    });
+
+    // Records matching the output schema go to the default dataset and, when configured,
+    // the webhook; the rest are quarantined. Returns the records actually saved.
+    const saveRecords = async (records) => {
+        const { valid, quarantined } = await pushValidated(records);
+        for (const record of quarantined) {
+            crawleeLog.warning(`🧪 Quarantined ${record.url}: ${record.validation_errors.join('; ')}`);
+        }
+        state.quarantined += quarantined.length;
+        if (delivery && valid.length) delivery.push(valid);
+        return valid;
+    };
+
+    // Company profiles of saved jobs, each queued once per run (uniqueKey per slug)
+    const enqueueCompanies = async (records, addRequests) => {
+        if (!collectCompanies) return;
+        const requests = records
+            .filter((r) => r.company_url)
+            .map((r) => ({ url: r.company_url, uniqueKey: companyUniqueKey(r.company_id), userData: { label: 'COMPANY' } }));
+        if (requests.length) await addRequests(requests);
+    };
+
+    // -------------------- Discovery --------------------
+
+    // Category / location hubs, each queued once per run as a start URL of its own
+    const queuedHubs = new Set();
+    const enqueueHubs = async (urls, addRequests) => {
+        const fresh = urls.filter((url) => !queuedHubs.has(url));
+        if (!fresh.length) return;
+        for (const url of fresh) queuedHubs.add(url);
+        state.discovery.hubsQueued += fresh.length;
+        await addRequests(fresh.map((url) => toListRequest({ url })));
+    };
+
+    // Sitemap offers wait in a backlog and are queued only while results_wanted still
+    // needs them: at most the remaining results minus the sitemap offers in flight.
+    // An offer that settles without being saved (filtered, failed...) frees its slot.
+    const sitemapBacklog = [];
+    let sitemapOffersInFlight = 0;
+    const feedSitemapOffers = async () => {
+        const room = remainingFor(null) - sitemapOffersInFlight;
+        if (room <= 0 || !sitemapBacklog.length) return;
+        const requests = sitemapBacklog.splice(0, room);
+        sitemapOffersInFlight += requests.length;
+        state.discovery.offersQueued += requests.length;
+        await crawler.addRequests(requests);
+    };
+    const settleSitemapOffer = async (request) => {
+        if (!request.userData.fromSitemap) return;
+        sitemapOffersInFlight--;
+        await feedSitemapOffers();
+    };
+
+    // Offers listed in a sitemap, deduplicated by offer ID like listing links
+    const enqueueSitemapOffers = async (urls, sitemapUrl) => {
+        for (const raw of urls) {
+            const url = cleanJobUrl(raw);
+            const key = getOfferKey(url);
+            if (state.seenOfferKeys.has(key)) continue;
+            state.seenOfferKeys.add(key);
+            if (seenOffers?.isKnown(key)) {
+                seenOffers.markSeen(key);
+                continue;
+            }
+            const offerId = parseOfferIdFromUrl(url);
+            sitemapBacklog.push({
+                url,
+                ...(offerId && { uniqueKey: offerUniqueKey(offerId) }),
+                userData: { label: 'DETAIL', fromSitemap: true, searchContext: toSearchContext({ search_url: sitemapUrl }) },
+            });
+        }
+        await feedSitemapOffers();
+    };
+
+    // robots.txt -> sitemaps -> offers (detail mode) or hub listings (listing-only mode)
+    const handleFeed = async ({ request, text, sitemap, log, addRequests }) => {
+        if (state.totalJobsSaved >= maxResultsDesired) {
+            log.info(`✓ Target reached (${state.totalJobsSaved}/${maxResultsDesired}), skipping ${request.url}`);
+            return;
+        }
+        if (request.userData.label === 'ROBOTS') {
+            const sitemaps = parseRobotsSitemaps(text, request.url);
+            log.info(`🗺️ robots.txt lists ${sitemaps.length} sitemap(s)`);
+            await addRequests(sitemaps.map((url) => ({ url, userData: { label: 'SITEMAP' } })));
+            return;
+        }
+
+        const { type, entries } = sitemap;
+        state.discovery.sitemapsRead++;
+        const fresh = entries.filter((entry) => isModifiedSince(entry.lastmod, discovery?.lastmodSince));
+        state.discovery.staleSkipped += entries.length - fresh.length;
+        // An unparseable <loc> is dropped, not the whole sitemap
+        const urls = fresh.flatMap((entry) => {
+            try {
+                return [new URL(entry.loc, request.url).href];
+            } catch {
+                return [];
+            }
+        });
+
+        if (type === 'index') {
+            log.info(`🗺️ Sitemap index ${request.url}: ${urls.length}/${entries.length} sitemap(s) modified recently enough`);
+            await addRequests(urls.map((url) => ({ url, userData: { label: 'SITEMAP' } })));
+            return;
+        }
+        // Offer sitemaps already list every offer, so hubs are only read for their cards
+        const offers = urls.filter((url) => classifyDiscoveredUrl(url) === 'offer');
+        const hubs = urls.filter((url) => classifyDiscoveredUrl(url) === 'hub');
+        if (collectDetails) await enqueueSitemapOffers(offers, request.url);
+        else await enqueueHubs(hubs, addRequests);
+        log.info(`🗺️ Sitemap ${request.url}: ${offers.length} offer(s), ${hubs.length} hub page(s), ${entries.length - fresh.length} older than the lastmod cutoff; ${sitemapBacklog.length} offer(s) waiting for results_wanted`);
+    };
+
+    // -------------------- Request Handler --------------------
+    const handleRequest = async ({ $, request, response, body, session, proxyInfo, log, enqueueLinks, addRequests }) => {
+        const { label } = request.userData;
+
+        // Classify the page before trusting anything on it. robots.txt and sitemaps
+        // (plain text, XML or gzip) only have their status and format to go by;
+        // a gzip body that does not decompress counts as malformed.
+        const isFeed = label === 'ROBOTS' || label === 'SITEMAP';
+        const feedText = isFeed && response?.statusCode < 400 ? decodeSitemapBody(body) : '';
+        const sitemap = label === 'SITEMAP' ? parseSitemap(feedText) : null;
+        const pageType = label === 'COMPANY' ? 'COMPANY' : (isDetailUrl(request.url) ? 'DETAIL' : 'LIST');
+        const { outcome, signals } = isFeed
+            ? detectFeedOutcome({
+                statusCode: response?.statusCode,
+                text: feedText || '',
+                wellFormed: feedText !== null && (label === 'ROBOTS' || !!sitemap),
+            })
+            : detectPageOutcome({
+                $,
+                statusCode: response?.statusCode,
+                url: request.url,
+                loadedUrl: request.loadedUrl,
+                bodyLength: body?.length,
+                pageType,
+            });
+        state.pageOutcomes[outcome] = (state.pageOutcomes[outcome] || 0) + 1;
+        throttle.record(throttleKey(request.url, proxyInfo), outcome, { retryAfter: response?.headers?.['retry-after'] });
+
+        switch (outcome) {
+            case PAGE_OUTCOMES.SOFT_BLOCK:
+            case PAGE_OUTCOMES.CAPTCHA:
+                log.warning(`⚠️ ${outcome} on ${request.url} [${signals.join(', ')}]`);
+                if (session) {
+                    session.retire();
+                    state.sessionsRetired++;
+                }
+                throw new Error(`Blocked (${outcome}) - rotating session`);
+            case PAGE_OUTCOMES.RATE_LIMITED: {
+                // The throttle already widened the delay and honors Retry-After before the retry
+                const key = throttleKey(request.url, proxyInfo);
+                const waitMs = throttle.pauseRemainingMs(key) + throttle.delayFor(key);
+                log.warning(`🐢 Rate limited on ${request.url}, backing off ~${Math.round(waitMs / 1000)}s`);
+                session?.markBad();
+                throw new Error('Rate limited - backing off');
+            }
+            case PAGE_OUTCOMES.NOT_FOUND:
+                log.info(`∅ Not found (${response?.statusCode}), skipping ${request.url}`);
+                return;
+            case PAGE_OUTCOMES.EXPIRED_OFFER: {
+                const expired = {
+                    status: 'expired',
+                    job_id: parseOfferIdFromUrl(request.url),
+                    url: request.url,
+                    title: normText($('h1').first().text()) || null,
+                    expired_at: new Date().toISOString(),
+                };
+                if (!(await saveRecords(expired)).length) return;
+                state.expiredOffers++;
+                log.info(`⌛ Offer closed, saved as expired: ${request.url} [${signals.join(', ')}]`);
+                return;
+            }
+        }
+
+        if (isFeed) {
+            await handleFeed({ request, text: feedText, sitemap, log, addRequests });
+            return;
+        }
+
+        if (label === 'HUBS') {
+            const hubs = extractHubLinks($, request.url);
+            await enqueueHubs(hubs, addRequests);
+            log.info(`🧭 Found ${hubs.length} category / location hub(s) on ${request.url}`);
+            return;
+        }
+
+        if (label === 'COMPANY') {
+            const company = extractCompanyProfile($, request.url);
+            if (!company.name) throw new Error('No company profile content detected - rotating session');
+            await (await Dataset.open(COMPANIES_DATASET)).pushData(company);
+            state.companiesSaved++;
+            log.info(`🏢 Saved company profile: "${company.name}" (${company.company_id})`);
+            return;
+        }
+
+        if (isDetailUrl(request.url)) {
+            // Skip if limit reached
+            const query = queryOf(request);
+            if (!remainingFor(query)) {
+                log.info(`✓ Limit reached (${progress(query)}), skipping ${request.url}`);
+                return;
+            }
+
+            log.info(`[DETAIL] Processing: ${request.url}`);
+
+            const { job, strategies } = extractJobDetailWithStrategies($, request.url, getCountrySite(request.url), { includeContacts: collectContacts });
+
+            // Validate extracted data makes sense (not blocked/redirect page text)
+            const hasValidData = job.title &&
+                job.title.length < 200 &&
+                !job.title.toLowerCase().includes('sign in') &&
+                !job.title.toLowerCase().includes('job openings in') &&
+                !job.title.toLowerCase().includes('crear cuenta') &&
+                !job.title.toLowerCase().includes('iniciar sesión');
+
+            if (!hasValidData) {
+                log.warning(`⚠️ Invalid data extracted from ${request.url} - likely blocked`);
+                log.warning(`Got title: ${job.title}`);
+                throw new Error('Invalid data extracted - rotating session');
+            }
+
+            // Same offer reached through another URL (tracking variant, redirect, other listing)
+            if (state.processedJobIds.has(job.job_id)) {
+                state.duplicatesSkipped++;
+                if (query) query.duplicates_skipped++;
+                log.info(`↷ Duplicate of already saved offer ${job.job_id}, skipping ${request.url}`);
+                return;
+            }
+
+            const filterReason = rejectByFilters(job, query);
+            if (filterReason) {
+                if (seenOffers) seenOffers.markSeen(getOfferKey(request.url), job);
+                log.info(`⊘ Filtered out "${job.title}" @ ${job.company || 'N/A'} (${filterReason})`);
+                return;
+            }
+
+            // Validate job data quality before saving
+            if (job && job.title) {
+                state.processedJobIds.add(job.job_id);
+                // Set by the listing page that enqueued the offer
+                Object.assign(job, toSearchContext(request.userData.searchContext));
+                if (query) job.query_tag = query.tag;
+                if (seenOffers) job.is_new = seenOffers.markSeen(getOfferKey(request.url), job);
+                if (!(await saveRecords(job)).length) return;
+                countSaved(query, 1);
+                log.info(`✓ [${progress(query)}] Saved: "${job.title}" @ ${job.company || 'N/A'}`);
+                await enqueueCompanies([job], addRequests);
+                state.quality.addRecord(job, strategies);
+            } else {
+                log.warning(`✗ No valid title found for ${request.url}, skipping`);
+            }
+            return;
+        }
+
+        const { startUrl = request.url, page = 1, searchQuery = null, queryId = null } = request.userData;
+        const query = queryOf(request);
+        const maxPages = query ? query.max_pages : maxPagesPerStart;
+        log.info(`[LIST] Processing: ${request.url} (page ${page}/${maxPages}, ${progress(query)} saved)`);
+
+        if (!remainingFor(query)) {
+            log.info(`✓ Target reached (${progress(query)}), stopping pagination`);
+            return;
+        }
+        if (query) query.pages++;
+
+        // Hub discovery: every listing page may link further categories and locations
+        if (discovery?.mode === 'hubs') await enqueueHubs(extractHubLinks($, request.url), addRequests);
+
+        // Offers not yet found on any listing page this run (of this query, for batched
+        // queries); drives pagination
+        let newOffers = 0;
+        const seenKeys = querySeenKeys.get(queryId) || state.seenOfferKeys;
+        const countOffer = (key) => {
+            if (seenKeys.has(key)) return false;
+            seenKeys.add(key);
+            state.seenOfferKeys.add(key);
+            newOffers++;
+            return true;
+        };
+
+        const search = { search_url: startUrl, search_query: searchQuery, page };
+        const cards = extractListingCards($, request.url, getCountrySite(request.url), search);
+
+        if (collectDetails) {
+            // Search context of each card, handed to its detail request
+            const cardContexts = new Map(cards.map((card) => [getOfferKey(card.url), toSearchContext(card)]));
+
+            // Detail links (several patterns to catch template variants)
+            await enqueueLinks({
+                selector: [
+                    'a[href*="/oferta-"]',
+                    'a[href*="/ofertas-"]',
+                    'a[href*="/vacante-"]',
+                    'a[href*="/job/"]',
+                    'a.js-o-link',
+                    'a[href*="/empleo/"]',
+                    'a[href*="/trabajo-"]',
+                ].join(','),
+                label: 'DETAIL',
+                transformRequestFunction: (req) => {
+                    // Category / location links also match "/trabajo-"; only offers belong here
+                    if (!isDetailUrl(req.url)) return false;
+                    req.url = cleanJobUrl(req.url);
+                    // One queue entry per offer ID, whatever the slug or query string
+                    const offerId = parseOfferIdFromUrl(req.url);
+                    if (offerId) req.uniqueKey = offerUniqueKey(offerId);
+                    const key = getOfferKey(req.url);
+                    countOffer(key);
+                    // Incremental mode: offers from earlier runs are only marked as still listed
+                    if (seenOffers?.isKnown(key)) {
+                        seenOffers.markSeen(key);
+                        return false;
+                    }
+                    req.userData = { ...req.userData, searchContext: cardContexts.get(key) || toSearchContext(search), ...(query && { queryId }) };
+                    return req;
+                },
+            });
+        } else {
+            // Listing-only mode: save the cards as they are, no detail requests.
+            // Keyed like detail mode, so incremental runs can switch modes.
+            const cardKey = (card) => getOfferKey(card.url);
+            // Batched queries may list the same offer; it is saved once, under the first query
+            let unseen = cards.filter((card) => countOffer(cardKey(card)));
+            if (query) {
+                unseen = unseen.filter((card) => {
+                    if (!state.processedJobIds.has(card.job_id)) return true;
+                    state.duplicatesSkipped++;
+                    query.duplicates_skipped++;
+                    return false;
+                });
+            }
+            if (seenOffers) {
+                unseen = unseen.filter((card) => {
+                    if (!seenOffers.isKnown(cardKey(card))) return true;
+                    seenOffers.markSeen(cardKey(card));
+                    return false;
+                });
+            }
+            unseen = unseen.filter((card) => {
+                if (!rejectByFilters(card, query)) return true;
+                if (seenOffers) seenOffers.markSeen(cardKey(card), card);
+                return false;
+            });
+            const fresh = unseen.slice(0, remainingFor(query));
+            if (query) {
+                for (const card of fresh) card.query_tag = query.tag;
+            }
+            if (seenOffers) {
+                for (const card of fresh) card.is_new = seenOffers.markSeen(cardKey(card), card);
+            }
+            let saved = [];
+            if (fresh.length) {
+                for (const card of fresh) state.processedJobIds.add(card.job_id);
+                saved = await saveRecords(fresh);
+                for (const card of saved) state.quality.addRecord(card);
+                countSaved(query, saved.length);
+                await enqueueCompanies(saved, addRequests);
+            }
+            log.info(`✓ [${progress(query)}] Saved ${saved.length}/${cards.length} listing card(s) from ${request.url}`);
+        }
+
+        // Pagination - one page at a time per start URL, while it still yields new offers
+        if (!remainingFor(query)) {
+            log.info(`✓ Target reached (${progress(query)}), stopping pagination`);
+        } else if (page >= maxPages) {
+            log.info(`✓ max_pages (${maxPages}) reached for ${startUrl}, stopping pagination`);
+        } else if (!newOffers) {
+            log.info(`✓ No new offers on page ${page} of ${startUrl}, stopping pagination`);
+        } else {
+            await addRequests([toListRequest({ url: getNextPageUrl($, request), startUrl, page: page + 1, searchQuery, queryId })]);
+        }
+    };
+
+    // Retried requests settle in failedRequestHandler instead
+    const requestHandler = async (context) => {
+        await handleRequest(context);
+        await settleSitemapOffer(context.request);
+    };
+
+    // Crawler with enhanced anti-bot measures
+    crawler = new CheerioCrawler({
+        requestQueue,
+        maxRequestsPerCrawl,
+        maxConcurrency,
+        requestHandler,
+        proxyConfiguration,
+
+        useSessionPool: true,
+        persistCookiesPerSession: true,
+        // Block-type statuses reach the request handler, where detectPageOutcome decides
+        ignoreHttpErrorStatusCodes: [503],
+        // robots.txt and (gzipped) sitemaps of discovery mode
+        ...(discovery && { additionalMimeTypes: DISCOVERY_MIME_TYPES }),
+        sessionPoolOptions: {
+            blockedStatusCodes: [],
+            maxPoolSize: 50,
+            sessionOptions: {
+                maxUsageCount: 10, // Rotate session after 10 requests
+                maxErrorScore: 3, // Retire session after 3 errors
+            },
+        },
+
+        // Enhanced request preparation with anti-bot headers
+        preNavigationHooks: [
+            async ({ request, session, proxyInfo }) => {
+                // Rotate user agent per session
+                if (!session.userData.userAgent) {
+                    session.userData.userAgent = getRandomUserAgent();
+                }
+
+                // Headers follow the country site being requested
+                const site = getCountrySite(request.url);
+
+                // Set realistic browser headers
+                request.headers = {
+                    'accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8',
+                    'accept-language': `${site.locale},es;q=0.9,en;q=0.8`,
+                    'accept-encoding': 'gzip, deflate, br',
+                    'user-agent': session.userData.userAgent,
+                    'sec-ch-ua': '"Google Chrome";v="119", "Chromium";v="119", "Not?A_Brand";v="24"',
+                    'sec-ch-ua-mobile': '?0',
+                    'sec-ch-ua-platform': '"Windows"',
+                    'sec-fetch-dest': 'document',
+                    'sec-fetch-mode': 'navigate',
+                    'sec-fetch-site': 'none',
+                    'sec-fetch-user': '?1',
+                    'upgrade-insecure-requests': '1',
+                    'cache-control': 'max-age=0',
+                };
+
+                // Seed custom cookies once per session and site; later responses may update them
+                if (customCookies.length) {
+                    const seeded = session.userData.cookieDomains || (session.userData.cookieDomains = []);
+                    if (!seeded.includes(site.domain)) {
+                        session.setCookies(cookiesForSite(customCookies, site), site.origin);
+                        seeded.push(site.domain);
+                    }
+                }
+
+                // Add referer for detail pages
+                if (request.userData?.label === 'DETAIL') {
+                    request.headers['referer'] = `${site.origin}/`;
+                    request.headers['sec-fetch-site'] = 'same-origin';
+                }
+
+                // Adaptive delay (requestDelayMs ±50%, widened after blocks) plus any Retry-After pause
+                await throttle.wait(throttleKey(request.url, proxyInfo));
+            },
+        ],
+
+        failedRequestHandler: async ({ request, error, session, log }) => {
+            log.warning(`❌ Request failed: ${request.url}`);
+            log.warning(`Error: ${error?.message || error}`);
+
+            // Retire session if blocked
+            if (session && (
+                error.message?.includes('Blocked') ||
+                error.message?.includes('Invalid data') ||
+                error.message?.includes('rotating session')
+            )) {
+                log.warning(`🔄 Retiring session due to blocking`);
+                if (session.isUsable()) state.sessionsRetired++;
+                session.retire();
+            }
+            const { url, label, retryCount, errorMessages } = request;
+            state.quality.addFailure({ url, label, retryCount, errorMessages, error });
+            if (!isDetailUrl(url) && label !== 'COMPANY') state.searchesFailed++;
+            await settleSitemapOffer(request);
+        },
+
+        requestHandlerTimeoutSecs: requestHandlerTimeoutSecs + THROTTLE_MAX_WAIT_SECS,
+        maxRequestRetries,
+    });
+
+    return { crawler, state, throttle };
+};
@@ -0,0 +1,184 @@
+/**
+ * Spanish posting dates ("Hace 3 días", "ayer", "Publicado el 15 de octubre",
+ * "hace más de 30 días") and JSON-LD dates, resolved in the site's time zone
+ */
+
+export const DEFAULT_TIME_ZONE = 'America/Mexico_City';
+
+// exact: to the minute; day: calendar day known; approximate: "hace 2 semanas", "hace más de 30 días"
+export const DATE_PRECISIONS = ['exact', 'day', 'approximate'];
+
+const MONTHS = {
+    enero: 1, ene: 1,
+    febrero: 2, feb: 2,
+    marzo: 3, mar: 3,
+    abril: 4, abr: 4,
+    mayo: 5, may: 5,
+    junio: 6, jun: 6,
+    julio: 7, jul: 7,
+    agosto: 8, ago: 8,
+    septiembre: 9, setiembre: 9, sept: 9, sep: 9, set: 9,
+    octubre: 10, oct: 10,
+    noviembre: 11, nov: 11,
+    diciembre: 12, dic: 12,
+};
+
+// [unit pattern, milliseconds, calendar days, precision]; day-based units count calendar days
+const UNITS = [
+    [/^(segundos?)$/, 1000, null, 'exact'],
+    [/^(minutos?|mins?)$/, 60000, null, 'exact'],
+    [/^(horas?|hrs?)$/, 3600000, null, 'exact'],
+    [/^(dias?)$/, null, 1, 'day'],
+    [/^(semanas?)$/, null, 7, 'approximate'],
+    [/^(mes|meses)$/, null, 30, 'approximate'],
+    [/^(anos?)$/, null, 365, 'approximate'],
+];
+
+const NUMBER_WORDS = { un: 1, una: 1, uno: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6, siete: 7, ocho: 8, nueve: 9, diez: 10 };
+
+const fold = (s) => String(s || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+// -------------------- Time zone arithmetic --------------------
+
+const zonedParts = (date, timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+    }).formatToParts(date);
+    const get = (type) => Number(parts.find((p) => p.type === type).value);
+    return { year: get('year'), month: get('month'), day: get('day'), hour: get('hour'), minute: get('minute'), second: get('second') };
+};
+
+// Minutes the zone is ahead of UTC at that instant (-360 for Mexico City)
+const offsetMinutes = (date, timeZone) => {
+    const p = zonedParts(date, timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+};
+
+// Instant of a wall-clock time in the zone; day overflow ("day 0") is normalized by Date.UTC
+const zonedTime = (year, month, day, timeZone, hour = 0, minute = 0, second = 0) => {
+    const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+    const first = guess - offsetMinutes(new Date(guess), timeZone) * 60000;
+    // Second pass in case the offset differs on the target day (DST change)
+    return new Date(guess - offsetMinutes(new Date(first), timeZone) * 60000);
+};
+
+const daysAgo = (now, days, timeZone) => {
+    const today = zonedParts(now, timeZone);
+    return zonedTime(today.year, today.month, today.day - days, timeZone);
+};
+
+const pad = (n, width = 2) => String(Math.abs(n)).padStart(width, '0');
+
+/**
+ * "2026-10-15" for day / approximate precision, "2026-10-15T09:30:00-06:00"
+ * (wall clock of the zone plus its offset) for exact dates.
+ */
+export const formatZonedDate = (date, precision, timeZone = DEFAULT_TIME_ZONE) => {
+    const p = zonedParts(date, timeZone);
+    const day = `${pad(p.year, 4)}-${pad(p.month)}-${pad(p.day)}`;
+    if (precision !== 'exact') return day;
+    const offset = offsetMinutes(date, timeZone);
+    const sign = offset < 0 ? '-' : '+';
+    return `${day}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+};
+
+// -------------------- Parsing --------------------
+
+const ISO_RE = /(\d{4})-(\d{2})-(\d{2})(?:[t ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(z|[+-]\d{2}:?\d{2})?)?/;
+
+const parseIso = (t, timeZone) => {
+    const m = t.match(ISO_RE);
+    if (!m) return null;
+    const [, y, mo, d, h, mi, s = '0', zone] = m;
+    if (h == null) return { date: zonedTime(+y, +mo, +d, timeZone), precision: 'day' };
+    // Without an offset the wall clock is the site's
+    const date = zone ? new Date(m[0].toUpperCase().replace(' ', 'T')) : zonedTime(+y, +mo, +d, timeZone, +h, +mi, +s);
+    return Number.isNaN(date.getTime()) ? null : { date, precision: 'exact' };
+};
+
+const parseRelative = (t, now, timeZone) => {
+    if (/\bhace (un momento|unos (segundos|instantes)|instantes)\b|\brecien publicad|\bjusto ahora\b/.test(t)) {
+        return { date: new Date(now), precision: 'exact' };
+    }
+    const m = t.match(/\bhace (mas de )?(\d+|un|una|uno|dos|tres|cuatro|cinco|seis|siete|ocho|nueve|diez) ([a-z]+)/);
+    if (!m) return null;
+    const [, moreThan, qtyRaw, unitRaw] = m;
+    const qty = NUMBER_WORDS[qtyRaw] ?? Number(qtyRaw);
+    const unit = UNITS.find(([re]) => re.test(unitRaw));
+    if (!unit) return null;
+    const [, ms, days, precision] = unit;
+    const date = ms ? new Date(now.getTime() - qty * ms) : daysAgo(now, qty * days, timeZone);
+    return { date, precision: moreThan ? 'approximate' : precision };
+};
+
+const parseNamedDay = (t, now, timeZone) => {
+    const m = t.match(/\b(anteayer|antier|ayer|hoy)\b/);
+    if (!m) return null;
+    const days = { hoy: 0, ayer: 1, anteayer: 2, antier: 2 }[m[1]];
+    return { date: daysAgo(now, days, timeZone), precision: 'day' };
+};
+
+// "15 de octubre", "15 oct 2026", "15/10/2026"; a date without year is the latest one not in the future
+const parseCalendarDate = (t, now, timeZone) => {
+    let day;
+    let month;
+    let year;
+    const named = [...t.matchAll(/\b(\d{1,2})(?: de)? ([a-z]+)\.?(?:,? (?:de(?:l)? )?(\d{4}))?\b/g)].find((m) => MONTHS[m[2]]);
+    if (named) {
+        [day, month, year] = [Number(named[1]), MONTHS[named[2]], named[3] && Number(named[3])];
+    } else {
+        const numeric = t.match(/\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})\b/);
+        if (!numeric) return null;
+        [day, month, year] = numeric.slice(1).map(Number);
+    }
+    if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+    const today = zonedParts(now, timeZone);
+    if (!year) year = (month > today.month || (month === today.month && day > today.day)) ? today.year - 1 : today.year;
+    const date = zonedTime(year, month, day, timeZone);
+    // Reject rollovers such as 31 de febrero
+    if (zonedParts(date, timeZone).day !== day) return null;
+    return { date, precision: 'day' };
+};
+
+/**
+ * Posting date of a Spanish snippet or ISO string, as { date, precision }
+ * (see DATE_PRECISIONS), or null when nothing date-like is found.
+ * Relative forms count from `now` in the site's time zone.
+ */
+export const parseSpanishDate = (text, { timeZone = DEFAULT_TIME_ZONE, now = new Date() } = {}) => {
+    const t = fold(text);
+    if (!t) return null;
+    return parseIso(t, timeZone)
+        || parseRelative(t, now, timeZone)
+        || parseNamedDay(t, now, timeZone)
+        || parseCalendarDate(t, now, timeZone);
+};
+
+/**
+ * Output fields for a posting date: date_posted (see formatZonedDate),
+ * date_posted_precision, and datePosted as a UTC timestamp. All null when
+ * the text can't be parsed; raw text is never passed through.
+ */
+export const toPostedDateFields = (text, timeZone = DEFAULT_TIME_ZONE) => {
+    const parsed = parseSpanishDate(text, { timeZone });
+    if (!parsed) return { datePosted: null, date_posted: null, date_posted_precision: null };
+    return {
+        datePosted: parsed.date.toISOString(),
+        date_posted: formatZonedDate(parsed.date, parsed.precision, timeZone),
+        date_posted_precision: parsed.precision,
+    };
+};
+
+// JSON-LD validThrough -> expires_at, same format as date_posted
+export const toExpiryDate = (validThrough, timeZone = DEFAULT_TIME_ZONE) => {
+    const parsed = validThrough ? parseIso(fold(validThrough), timeZone) : null;
+    return parsed ? formatZonedDate(parsed.date, parsed.precision, timeZone) : null;
+};
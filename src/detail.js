@@ -0,0 +1,541 @@
+/**
+ * Job detail page extraction (JSON-LD first, CSS fallbacks)
+ */
+import { log } from 'apify';
+import { load as cheerioLoad } from 'cheerio';
+
+import { normText, pickFirstNonEmpty, cleanHtmlToText, stripAttrsKeepTags, clipText } from './text.js';
+import { extractLabeledValue, normalizeSalaryFromJsonLd, parseAllJsonLd } from './fields.js';
+import { getCountrySite } from './sites.js';
+import { parseSalaryText, addMonthlySalaryEstimate } from './salary.js';
+import { normalizeEmployment } from './employment.js';
+import { parseOfferIdFromPage, resolveJobId, pickCompanyLink } from './ids.js';
+import { normalizeLocation } from './locations.js';
+import { extractRequirements } from './requirements.js';
+import { htmlToMarkdown, splitDescriptionSections } from './markdown.js';
+import { toPostedDateFields, toExpiryDate } from './dates.js';
+import { extractApplication } from './apply.js';
+
+// Page snippets worth parsing as a posting date
+const DATE_TEXT_RE = /hace|publicad|actualizad|\bhoy\b|\bayer\b/i;
+
+// -------------------- Hardened company / location / description helpers --------------------
+
+// Company cleanup: keep only the clean name, drop ratings, popups, and legalese
+export const cleanCompanyName = (raw) => {
+    let s = normText(raw);
+    if (!s) return null;
+
+    const STOP_TOKENS = [
+        'seguir', 'volver', 'información básica', 'política de privacidad',
+        'responsable', 'finalidad', 'legitimación', 'destinatarios', 'derechos',
+        '¡no te pierdas', 'recibe notificaciones', 'formato incorrecto', 'contraseña incorrecta',
+        'acepto las condiciones', 'ver detalle legal',
+    ];
+
+    s = s.split('\n')[0].split('|')[0].split('·')[0];
+    s = s.replace(/\b\d[\d.,]{0,3}\b/g, '').trim();
+
+    for (const tok of STOP_TOKENS) {
+        const idx = s.toLowerCase().indexOf(tok);
+        if (idx > 0) {
+            s = s.slice(0, idx).trim();
+        }
+    }
+
+    s = s.replace(/[•·|]+$/g, '').replace(/\s{2,}/g, ' ').trim();
+    if (s.length > 80) s = s.slice(0, 80).trim();
+
+    return s || null;
+};
+
+// Longest employmentType the dataset schema accepts; verbose chip rows are clipped to it
+const EMPLOYMENT_TYPE_MAX = 100;
+
+// Offer header / company block; related offers and footers link other companies
+const COMPANY_BLOCK_SELECTOR = '.box_header, .box_company, [itemprop="hiringOrganization"]';
+
+// Spanish-first DOM company selectors
+export const pickCompanyFromDom = ($) => {
+    // Schema.org / microdata
+    let c =
+        $('[itemprop="hiringOrganization"] [itemprop="name"]').first().text() ||
+        $('[itemscope][itemtype*="Organization"] [itemprop="name"]').first().text();
+    if ((c = cleanCompanyName(c))) return c;
+
+    // Empresa profile links / anchors of the offer's own company block
+    const candidates = [
+        'a[href*="/empresas/"]',
+        'a[href*="/empresa/"]',
+        'a:contains("Ver más sobre la empresa")',
+        'a:contains("Ver más sobre la compañía")',
+    ];
+    for (const sel of candidates) {
+        const t = $(COMPANY_BLOCK_SELECTOR).find(sel).first().text();
+        const cleaned = cleanCompanyName(t);
+        if (cleaned) return cleaned;
+    }
+
+    // Header near rating (as fallback)
+    {
+        const t = $('.box_header .fc_base, .box_header .fc_base a, .box_header .fc_base span')
+            .first().text();
+        const cleaned = cleanCompanyName(t);
+        if (cleaned) return cleaned;
+    }
+
+    {
+        const t = $('.box_header a, .box_company a, [class*="company"] a').first().text();
+        const cleaned = cleanCompanyName(t);
+        if (cleaned) return cleaned;
+    }
+
+    return null;
+};
+
+// Safer location extraction: microdata first, then chips, then cleaned fallback
+export const pickLocation = ($, fallbackText) => {
+    const locality = $('[itemprop="jobLocation"] [itemprop="addressLocality"]').first().text();
+    const region   = $('[itemprop="jobLocation"] [itemprop="addressRegion"]').first().text();
+    const country  = $('[itemprop="jobLocation"] [itemprop="addressCountry"]').first().text();
+    const parts = [locality, region, country].map(normText).filter(Boolean);
+    if (parts.length) return parts.join(', ');
+
+    const chip = extractLabeledValue($, [/ubicaci[oó]n/i, /ciudad/i, /estado/i, /localidad/i]);
+    let loc = pickFirstNonEmpty(chip, fallbackText);
+    if (!loc) return null;
+
+    loc = loc
+        .replace(/Publicado.*$/i, '')
+        .replace(/Postular.*/i, '')
+        .replace(/Ver detalle legal.*/i, '')
+        .replace(/\s{2,}/g, ' ')
+        .trim();
+
+    loc = loc.split('|')[0].split('·')[0].trim();
+    if (loc.length > 120) loc = loc.slice(0, 120).trim();
+    return loc || null;
+};
+
+// Description extraction (Spanish-first) with sanitization and minimum content length
+export const pickDescriptionHtml = ($) => {
+    const candidates = [
+        '[itemprop="description"]',
+        '.box_detail [itemprop="description"]',
+        '.box_detail .box_section',
+        '.box_detail article',
+        '#offer-body',
+        '.oferta-detalle, .descripcion-oferta',
+        '.descripcion, .description, #description',
+        '.job_desc',
+    ];
+    for (const sel of candidates) {
+        const el = $(sel).first();
+        if (el && el.length) {
+            const textLen = normText(el.text()).length;
+            if (textLen > 40) {
+                return stripAttrsKeepTags(el.html());
+            }
+        }
+    }
+    const broad = $('.box_detail, .oferta, main').first();
+    if (broad && broad.length) {
+        const html = stripAttrsKeepTags(broad.html());
+        const txt = cleanHtmlToText(html);
+        if (normText(txt).length > 40) return html;
+    }
+    return null;
+};
+
+// -------------------- Extraction core --------------------
+
+export const extractFromJsonLd = ($) => {
+    const item = parseAllJsonLd($);
+    if (!item) return {};
+    // Location(s)
+    let location = null;
+    const jl = item.jobLocation;
+    if (jl) {
+        const arr = Array.isArray(jl) ? jl : [jl];
+        const parts = [];
+        for (const j of arr) {
+            const addr = j?.address || {};
+            const piece = [addr.addressLocality, addr.addressRegion, addr.addressCountry]
+                .map(normText).filter(Boolean).join(', ');
+            if (piece) parts.push(piece);
+        }
+        location = parts.filter(Boolean).join(' | ') || null;
+    }
+    const salaryObj = normalizeSalaryFromJsonLd(item.baseSalary);
+    const employmentType = item.employmentType
+        ? (Array.isArray(item.employmentType) ? item.employmentType : [item.employmentType]).map(normText).filter(Boolean)
+        : null;
+
+    return {
+        title: item.title || item.name || null,
+        company: item.hiringOrganization?.name || null,
+        datePosted: item.datePosted || null,
+        validThrough: item.validThrough || null,
+        description_raw: item.description || null, // can be HTML or text
+        location,
+        salary_struct: salaryObj,
+        employmentType,
+        jobLocationType: item.jobLocationType || null,
+        identifier: item.identifier || null,
+        educationRequirements: item.educationRequirements || null,
+        experienceRequirements: item.experienceRequirements || null,
+    };
+};
+
+/**
+ * Same as extractJobDetail, plus which strategy produced each field:
+ * { job, strategies: { title: 'json-ld' | 'css <selector>' | ..., ... } }.
+ * Fields no strategy could fill are missing from strategies.
+ * includeContacts adds contact_emails / contact_phones from the description.
+ */
+export const extractJobDetailWithStrategies = ($, url, site = getCountrySite(url), { includeContacts = false } = {}) => {
+    const strategies = {};
+
+    // Try JSON-LD first for reliable structured data
+    const jsonLd = extractFromJsonLd($);
+
+    // ========== TITLE ==========
+    let title = null;
+    if (jsonLd.title) {
+        title = normText(jsonLd.title);
+        if (title) strategies.title = 'json-ld';
+    }
+    if (!title) {
+        // Multiple strategies for title - use contains class to handle dynamic classes
+        const titleSelectors = [
+            '[class*="title_offer"]',
+            '.title_offer',
+            'h1[class*="title"]',
+            'h1.fs21',
+            '.box_title h1',
+            'h1',
+        ];
+        for (const sel of titleSelectors) {
+            const el = $(sel).first();
+            if (el.length) {
+                const txt = normText(el.text());
+                if (txt && txt.length > 3) {
+                    title = txt;
+                    strategies.title = `css ${sel}`;
+                    break;
+                }
+            }
+        }
+    }
+
+    // ========== COMPANY ==========
+    let company = null;
+    if (jsonLd.company) {
+        company = cleanCompanyName(jsonLd.company);
+        if (company) strategies.company = 'json-ld';
+    }
+    if (!company) {
+        // Multiple strategies - look for company in header area
+        const companySelectors = [
+            '.box_header a[href*="/empresas/"]',
+            '.box_header a[href*="/empresa"]',
+            'a.dIB.mr10',
+            'a[class*="mr10"]',
+            '.box_header .fc_base a',
+            '[itemprop="hiringOrganization"] [itemprop="name"]',
+        ];
+        for (const sel of companySelectors) {
+            const el = $(sel).first();
+            if (el.length) {
+                const txt = cleanCompanyName(el.text());
+                if (txt && txt.length > 1) {
+                    company = txt;
+                    strategies.company = `css ${sel}`;
+                    break;
+                }
+            }
+        }
+    }
+    if (!company) {
+        company = pickCompanyFromDom($);
+        if (company) strategies.company = 'pickCompanyFromDom';
+    }
+
+    // ========== LOCATION ==========
+    let location = null;
+    if (jsonLd.location) {
+        location = normText(jsonLd.location);
+        if (location) strategies.location = 'json-ld';
+    }
+    if (!location) {
+        // Multiple strategies for location
+        const locationSelectors = [
+            '.fs16.mb5',
+            '[class*="mb5"]',
+            '.box_header p.fs16',
+            '.box_header p',
+            '[itemprop="jobLocation"] [itemprop="addressLocality"]',
+            'p:contains("Ubicación")',
+        ];
+        for (const sel of locationSelectors) {
+            const el = $(sel).first();
+            if (el.length) {
+                let txt = normText(el.text());
+                // Clean up
+                txt = txt
+                    .replace(/Ubicación:?/gi, '')
+                    .replace(/\s*-\s*Publicado.*$/i, '')
+                    .replace(/Ver mapa/gi, '')
+                    .replace(/Postular.*/i, '')
+                    .trim();
+                if (txt && txt.length > 2) {
+                    location = txt;
+                    strategies.location = `css ${sel}`;
+                    break;
+                }
+            }
+        }
+    }
+    if (!location) {
+        location = pickLocation($, null);
+        if (location) strategies.location = 'pickLocation';
+    }
+
+    // ========== DATE POSTED ==========
+    // Only text that parses as a date is kept, in the site's time zone
+    let dates = null;
+    if (jsonLd.datePosted) {
+        const fromJsonLd = toPostedDateFields(jsonLd.datePosted, site.timeZone);
+        if (fromJsonLd.date_posted) {
+            dates = fromJsonLd;
+            strategies.date_posted = 'json-ld';
+        }
+    }
+    if (!dates) {
+        // Multiple strategies for date
+        const dateSelectors = [
+            '.fc_aux.fs13.mtB',
+            '[class*="fc_aux"]',
+            '.box_header .fc_aux',
+            'p.fs13',
+            'p:contains("Publicado")',
+            'p:contains("Hace")',
+            'p:contains("hace")',
+        ];
+        for (const sel of dateSelectors) {
+            const el = $(sel).first();
+            if (el.length) {
+                const txt = normText(el.text());
+                const parsed = txt && DATE_TEXT_RE.test(txt) ? toPostedDateFields(txt, site.timeZone) : null;
+                if (parsed?.date_posted) {
+                    dates = parsed;
+                    strategies.date_posted = `css ${sel}`;
+                    break;
+                }
+            }
+        }
+    }
+    if (!dates) {
+        const rel = extractLabeledValue($, [/publicado/i, /publicada/i, /fecha/i]);
+        const parsed = rel ? toPostedDateFields(rel, site.timeZone) : null;
+        if (parsed?.date_posted) {
+            dates = parsed;
+            strategies.date_posted = 'labeled value';
+        }
+    }
+    if (!dates) dates = toPostedDateFields(null);
+
+    // ========== EMPLOYMENT TYPE ==========
+    let employmentType = null;
+    if (jsonLd.employmentType) {
+        employmentType = Array.isArray(jsonLd.employmentType) 
+            ? jsonLd.employmentType.filter(Boolean).join(', ')
+            : jsonLd.employmentType;
+        if (employmentType) strategies.employmentType = 'json-ld';
+    }
+    if (!employmentType) {
+        // Multiple strategies
+        const typeSelectors = [
+            '.dFlex.mb10',
+            '[class*="dFlex"]',
+            'p:contains("Jornada")',
+            'p:contains("Tiempo completo")',
+            'p:contains("Tiempo parcial")',
+        ];
+        for (const sel of typeSelectors) {
+            const el = $(sel).first();
+            if (el.length) {
+                let txt = normText(el.text());
+                txt = txt.replace(/^(Jornada|Tipo de contrato|Modalidad):\s*/i, '').trim();
+                if (txt && txt.length > 3) {
+                    employmentType = txt;
+                    strategies.employmentType = `css ${sel}`;
+                    break;
+                }
+            }
+        }
+    }
+    if (!employmentType) {
+        const jornada = extractLabeledValue($, [/jornada/i, /tipo de contrato/i, /modalidad/i]);
+        if (jornada) {
+            employmentType = jornada;
+            strategies.employmentType = 'labeled value';
+        }
+    }
+
+    // Normalized schedule / contract / modality from every chip we can find
+    const employmentTexts = [
+        ...$('span.tag, .tag, .chip, .box_attributes li').map((_, el) => $(el).text()).get(),
+        extractLabeledValue($, [/jornada/i]),
+        extractLabeledValue($, [/tipo de contrato/i, /contrato/i]),
+        extractLabeledValue($, [/modalidad/i, /lugar de trabajo/i]),
+        employmentType,
+    ].filter((t) => t && !/salario|sueldo/i.test(t));
+    const employment = normalizeEmployment({
+        texts: employmentTexts,
+        jsonLdTypes: jsonLd.employmentType || [],
+        jobLocationType: jsonLd.jobLocationType,
+    });
+
+    // ========== SALARY ==========
+    let salary_struct = jsonLd.salary_struct || null;
+    let salary_text = null;
+    if (salary_struct) {
+        strategies.salary = 'json-ld';
+        if (!salary_struct.salary_currency) salary_struct = { salary_currency: site.currency, ...salary_struct };
+        salary_struct = addMonthlySalaryEstimate(salary_struct);
+    } else {
+        const scraped = extractLabeledValue($, [/salario/i, /sueldo/i, /compensaci[oó]n/i, /remuneraci[oó]n/i]);
+        if (scraped) {
+            salary_text = normText(scraped);
+            salary_struct = parseSalaryText(salary_text, site.currency);
+            strategies.salary = 'labeled value';
+        }
+    }
+
+    // ========== DESCRIPTION ==========
+    let description_html = null;
+    let description_text = null;
+
+    if (jsonLd.description_raw && normText(jsonLd.description_raw).length > 40) {
+        const sanitized = stripAttrsKeepTags(jsonLd.description_raw);
+        if (sanitized && normText(cleanHtmlToText(sanitized)).length > 40) {
+            description_html = sanitized;
+            description_text = cleanHtmlToText(sanitized);
+            strategies.description = 'json-ld';
+        }
+    }
+    
+    if (!description_html) {
+        // Multiple strategies for description
+        const descSelectors = [
+            '[class*="t_word_wrap"]',
+            '.fs16.t_word_wrap',
+            '[itemprop="description"]',
+            '.box_detail',
+            '.box_section',
+            'article.oferta',
+            '#offer-body',
+        ];
+        
+        for (const sel of descSelectors) {
+            const descEl = $(sel).first();
+            if (descEl.length) {
+                let html = descEl.html();
+                if (html && normText(cheerioLoad(html).text()).length > 40) {
+                    // Remove hidden/unwanted elements
+                    const $temp = cheerioLoad(html);
+                    $temp('.hide, [data-offers-grid-detail-container-error], [data-complaint-overlay], .popup, #complaint-popup-container, [aria-hidden="true"]').remove();
+                    $temp('script, style, noscript, iframe, form, button').remove();
+                    
+                    const cleaned = stripAttrsKeepTags($temp.root().html());
+                    const txt = cleanHtmlToText(cleaned);
+                    
+                    if (cleaned && txt && normText(txt).length > 40) {
+                        description_html = cleaned;
+                        description_text = txt;
+                        strategies.description = `css ${sel}`;
+                        break;
+                    }
+                }
+            }
+        }
+    }
+    
+    if (!description_html) {
+        // Final fallback to pickDescriptionHtml
+        const html = pickDescriptionHtml($);
+        if (html) {
+            description_html = html;
+            description_text = cleanHtmlToText(html);
+            strategies.description = 'pickDescriptionHtml';
+        }
+    }
+
+    // Guard: CSS-only capture (malformed HTML)
+    if (description_html && /{.*}/.test(description_html) && !/<(p|ul|li|a|strong|em|br|h3|h4)/i.test(description_html)) {
+        description_html = null;
+        description_text = null;
+        delete strategies.description;
+    }
+
+    // Structure-preserving copy for LLM / search pipelines
+    const description_markdown = htmlToMarkdown(description_html, url);
+
+    // ========== OFFER ID ==========
+    const { job_id, job_id_source } = resolveJobId({
+        pageId: parseOfferIdFromPage($, jsonLd.identifier),
+        url,
+        title,
+        company,
+        location,
+    });
+    strategies.job_id = job_id_source;
+
+    // ========== APPLICATION ==========
+    const { application, source: applySource } = extractApplication($, url, { descriptionHtml: description_html, descriptionText: description_text, includeContacts });
+    if (applySource) strategies.apply_type = applySource;
+
+    // ========== BUILD JOB OBJECT ==========
+    const job = {
+        url,
+        source: 'computrabajo.com',
+        country: site.code,
+        site_domain: site.domain,
+        job_id,
+        job_id_source,
+        title: title || null,
+        company: company || null,
+        ...pickCompanyLink($(COMPANY_BLOCK_SELECTOR), url),
+        location: location || null,
+        ...normalizeLocation(location, site),
+        ...dates,
+        expires_at: toExpiryDate(jsonLd.validThrough, site.timeZone),
+        description_html: description_html || null,
+        description_text: description_text || null,
+        description_markdown,
+        description_sections: splitDescriptionSections(description_markdown),
+        employmentType: clipText(employmentType, EMPLOYMENT_TYPE_MAX),
+        ...employment,
+        requirements: extractRequirements($, jsonLd),
+        ...application,
+    };
+
+    // Add salary fields (raw text is kept next to whatever could be parsed from it)
+    if (salary_struct) Object.assign(job, salary_struct);
+    if (salary_text) job.salary_text = salary_text;
+
+    // Debug logging to help troubleshoot
+    log.debug(`Extraction results for ${url}:`);
+    log.debug(`  - Title: ${title ? '✓' : '✗'} ${title ? `(${title.substring(0, 50)}...)` : ''}`);
+    log.debug(`  - Company: ${company ? '✓' : '✗'} ${company || ''}`);
+    log.debug(`  - Location: ${location ? '✓' : '✗'} ${location || ''}`);
+    log.debug(`  - Date: ${dates.date_posted ? '✓' : '✗'} ${dates.date_posted || ''}`);
+    log.debug(`  - Employment Type: ${employmentType ? '✓' : '✗'} ${employmentType || ''}`);
+    log.debug(`  - Salary: ${(salary_text || salary_struct) ? '✓' : '✗'}`);
+    log.debug(`  - Description: ${description_text ? '✓' : '✗'} ${description_text ? `(${description_text.substring(0, 50)}...)` : ''}`);
+
+    return { job, strategies };
+};
+
+export const extractJobDetail = ($, url, site = getCountrySite(url), options = {}) => extractJobDetailWithStrategies($, url, site, options).job;
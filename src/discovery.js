@@ -0,0 +1,136 @@
+/**
+ * Discovery mode for full-site crawls: robots.txt -> sitemap index -> offer and
+ * category sitemaps (gzipped or not, filtered by lastmod), or enumeration of the
+ * /trabajo-de-* category and /empleos-en-* location hub pages
+ */
+import { gunzipSync } from 'node:zlib';
+import { load as cheerioLoad } from 'cheerio';
+
+import { normText } from './text.js';
+import { isDetailUrl } from './listing.js';
+
+export const DISCOVERY_MODES = ['off', 'sitemaps', 'hubs'];
+
+// Content types robots.txt and sitemaps arrive with besides XML
+export const DISCOVERY_MIME_TYPES = ['text/plain', 'application/gzip', 'application/x-gzip', 'application/octet-stream'];
+
+const HUB_PATH_RE = /^\/(?:trabajo-de-[a-z0-9-]+|empleos-en-[a-z0-9-]+)\/?$/i;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Compile the discovery inputs; returns null when discoveryMode is "off".
+ * sitemapMaxAgeDays keeps only sitemap entries whose lastmod is that recent
+ * (entries without lastmod are always kept).
+ */
+export const parseDiscoveryOptions = ({ discoveryMode = 'off', sitemapMaxAgeDays = null } = {}, now = new Date()) => {
+    const mode = String(discoveryMode || 'off').trim().toLowerCase();
+    if (!DISCOVERY_MODES.includes(mode)) {
+        throw new Error(`Invalid "discoveryMode" input "${discoveryMode}". Use one of: ${DISCOVERY_MODES.join(', ')}`);
+    }
+    if (mode === 'off') return null;
+
+    let lastmodSince = null;
+    if (sitemapMaxAgeDays != null && sitemapMaxAgeDays !== '' && Number(sitemapMaxAgeDays) !== 0) {
+        const days = Number(sitemapMaxAgeDays);
+        if (!(days > 0)) throw new Error(`Invalid "sitemapMaxAgeDays" input "${sitemapMaxAgeDays}": expected a positive number`);
+        lastmodSince = new Date(now.getTime() - days * DAY_MS);
+    }
+    return { mode, lastmodSince };
+};
+
+// First requests of a discovery crawl on the country site. /sitemap.xml is seeded
+// too in case robots.txt is missing; a sitemap robots.txt also lists is queued once.
+export const toDiscoveryRequests = ({ mode }, site) => (mode === 'sitemaps'
+    ? [
+        { url: `${site.origin}/robots.txt`, userData: { label: 'ROBOTS' } },
+        { url: `${site.origin}/sitemap.xml`, userData: { label: 'SITEMAP' } },
+    ]
+    : [{ url: `${site.origin}/`, userData: { label: 'HUBS' } }]);
+
+// -------------------- robots.txt & sitemaps --------------------
+
+// Sitemap URLs declared in robots.txt ("Sitemap: ..." lines), resolved against its URL
+export const parseRobotsSitemaps = (robotsTxt, robotsUrl) => {
+    const urls = [];
+    for (const line of String(robotsTxt || '').split(/\r?\n/)) {
+        const m = line.match(/^\s*sitemap\s*:\s*(\S+)/i);
+        if (!m) continue;
+        try {
+            const url = new URL(m[1], robotsUrl).href;
+            if (!urls.includes(url)) urls.push(url);
+        } catch { /* ignore invalid */ }
+    }
+    return urls;
+};
+
+// Response body as text; gzip is detected by its magic bytes, not the URL or headers.
+// null when a gzipped body does not decompress (truncated or corrupt download).
+export const decodeSitemapBody = (body) => {
+    if (typeof body === 'string') return body;
+    const buf = Buffer.from(body || []);
+    if (!(buf[0] === 0x1f && buf[1] === 0x8b)) return buf.toString('utf8');
+    try {
+        return gunzipSync(buf).toString('utf8');
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * { type: 'index' | 'urlset', entries: [{ loc, lastmod }] } of a sitemap
+ * document, or null when the text is not a sitemap (e.g. a block page).
+ */
+export const parseSitemap = (xml) => {
+    const $ = cheerioLoad(String(xml || ''), { xmlMode: true });
+    const type = $('sitemapindex').length ? 'index' : ($('urlset').length ? 'urlset' : null);
+    if (!type) return null;
+    const entries = $(type === 'index' ? 'sitemapindex > sitemap' : 'urlset > url').toArray()
+        .map((el) => ({
+            loc: normText($(el).children('loc').first().text()),
+            lastmod: normText($(el).children('lastmod').first().text()) || null,
+        }))
+        .filter((entry) => entry.loc);
+    return { type, entries };
+};
+
+// Entries without a (parseable) lastmod are kept
+export const isModifiedSince = (lastmod, since) => {
+    if (!since || !lastmod) return true;
+    const time = Date.parse(lastmod);
+    return Number.isNaN(time) || time >= since.getTime();
+};
+
+// -------------------- Hub pages --------------------
+
+/** 'offer' for offer pages, 'hub' for category / location listings, else null. */
+export const classifyDiscoveredUrl = (url) => {
+    let u;
+    try {
+        u = new URL(url);
+    } catch {
+        return null;
+    }
+    if (isDetailUrl(u.pathname)) return 'offer';
+    if (HUB_PATH_RE.test(u.pathname)) return 'hub';
+    return null;
+};
+
+/**
+ * Category and location hub links of a page on the same site, deduplicated,
+ * without query string or hash (each hub is paginated from its first page).
+ */
+export const extractHubLinks = ($, pageUrl) => {
+    const origin = new URL(pageUrl).origin;
+    const hubs = new Set();
+    $('a[href]').each((_, a) => {
+        let u;
+        try {
+            u = new URL($(a).attr('href'), pageUrl);
+        } catch {
+            return;
+        }
+        if (u.origin !== origin || classifyDiscoveredUrl(u.href) !== 'hub') return;
+        hubs.add(`${u.origin}${u.pathname.replace(/\/$/, '')}`);
+    });
+    return [...hubs];
+};
@@ -0,0 +1,90 @@
+/**
+ * Normalized employment fields: schedule, contract type and work modality,
+ * from Computrabajo's Spanish chips and JSON-LD employmentType values
+ */
+import { normText } from './text.js';
+
+// schema.org employmentType -> normalized field + the chip label Computrabajo shows for it
+export const JSONLD_EMPLOYMENT_TYPES = {
+    FULL_TIME: { field: 'schedule', value: 'full_time', label: 'Tiempo completo' },
+    PART_TIME: { field: 'schedule', value: 'part_time', label: 'Medio tiempo' },
+    PER_DIEM: { field: 'schedule', value: 'per_hour', label: 'Por horas' },
+    TEMPORARY: { field: 'contract_type', value: 'temporal', label: 'Contrato por tiempo determinado' },
+    CONTRACTOR: { field: 'contract_type', value: 'por_obra', label: 'Por obra o proyecto' },
+    INTERN: { field: 'contract_type', value: 'practicas', label: 'Prácticas profesionales' },
+};
+
+// First match wins, so more specific phrases come first
+// ("tiempo indeterminado" before "tiempo determinado", "presencial y remoto" before either)
+const PATTERNS = {
+    schedule: [
+        ['full_time', /tiempo completo|jornada completa/i],
+        ['part_time', /medio tiempo|tiempo parcial|media jornada/i],
+        ['weekends', /fines? de semana/i],
+        ['per_hour', /por horas?\b/i],
+    ],
+    contract_type: [
+        ['indefinido', /(?:contrato )?(?:por )?tiempo indeterminado|indefinido|indeterminado|de planta/i],
+        ['practicas', /pr[aá]cticas(?: profesionales)?|becario|pasant[ií]a|practicante/i],
+        ['por_obra', /por obra(?: o (?:labor|proyecto))?|por proyecto|obra determinada|honorarios|freelance/i],
+        ['temporal', /(?:contrato )?(?:por )?tiempo determinado|temporal|por temporada|eventual/i],
+    ],
+    work_modality: [
+        ['hybrid', /presencial y (?:remoto|desde casa)|h[ií]brido|mixto/i],
+        ['remote', /remoto|home office|desde casa|teletrabajo|a distancia/i],
+        ['onsite', /presencial/i],
+    ],
+};
+
+const matchField = (field, texts) => {
+    for (const [value, re] of PATTERNS[field]) {
+        for (const text of texts) {
+            const m = text.match(re);
+            if (m) return { value, text: normText(m[0]) };
+        }
+    }
+    return null;
+};
+
+/**
+ * texts: Spanish chip / label strings from the page (any order, may be a whole
+ * row like "Tiempo completo Contrato por tiempo indeterminado Presencial").
+ * jsonLdTypes: JSON-LD employmentType values; jobLocationType "TELECOMMUTE" means remote.
+ * Returns { schedule, contract_type, work_modality } plus the matching raw
+ * Spanish text of each in *_text; unknown fields are null.
+ */
+export const normalizeEmployment = ({ texts = [], jsonLdTypes = [], jobLocationType = null } = {}) => {
+    const out = {
+        schedule: null,
+        schedule_text: null,
+        contract_type: null,
+        contract_type_text: null,
+        work_modality: null,
+        work_modality_text: null,
+    };
+    const cleanTexts = texts.map(normText).filter(Boolean);
+
+    // Page chips carry the site's own wording, so they go first
+    for (const field of Object.keys(PATTERNS)) {
+        const hit = matchField(field, cleanTexts);
+        if (hit) {
+            out[field] = hit.value;
+            out[`${field}_text`] = hit.text;
+        }
+    }
+
+    for (const raw of jsonLdTypes) {
+        const mapped = JSONLD_EMPLOYMENT_TYPES[String(raw || '').trim().toUpperCase().replace(/[\s-]+/g, '_')];
+        if (mapped && !out[mapped.field]) {
+            out[mapped.field] = mapped.value;
+            out[`${mapped.field}_text`] = mapped.label;
+        }
+    }
+
+    if (!out.work_modality && String(jobLocationType || '').toUpperCase() === 'TELECOMMUTE') {
+        out.work_modality = 'remote';
+        out.work_modality_text = 'Remoto';
+    }
+
+    return out;
+};
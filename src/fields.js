@@ -0,0 +1,98 @@
+/**
+ * Field-level parsers: label/value chips, JSON-LD and salaries
+ */
+import { normText } from './text.js';
+
+// -------------------- Helpers: parsing fields --------------------
+
+export const extractLabeledValue = ($, labelRegexes) => {
+    // 1) Chips / attributes
+    let val = null;
+
+    $('li, .box_attributes li, .attribute, .chip, .tag').each((_, li) => {
+        const $li = $(li);
+        const text = normText($li.text());
+        if (!text) return;
+        for (const re of labelRegexes) {
+            if (re.test(text)) {
+                const parts = text.split(':');
+                if (parts.length > 1) val = normText(parts.slice(1).join(':'));
+                else {
+                    const spans = $li.find('span');
+                    if (spans.length >= 2) val = normText($(spans[1]).text());
+                    else val = text.replace(re, '').trim();
+                }
+                return false;
+            }
+        }
+        if (val) return false;
+    });
+    if (val) return val;
+
+    // 2) dt/dd pairs
+    $('dt').each((_, dt) => {
+        const label = normText($(dt).text());
+        for (const re of labelRegexes) {
+            if (re.test(label)) {
+                const dd = $(dt).next('dd');
+                if (dd.length) {
+                    val = normText(dd.text());
+                    return false;
+                }
+            }
+        }
+        if (val) return false;
+    });
+
+    return val;
+};
+
+export const normalizeSalaryFromJsonLd = (baseSalary) => {
+    if (!baseSalary) return null;
+    const isMonetary = baseSalary['@type'] === 'MonetaryAmount';
+    const monetary = isMonetary ? baseSalary : null;
+    const value = monetary ? monetary.value : baseSalary.value || baseSalary;
+    const currency = monetary?.currency || baseSalary.currency || null;
+
+    let min = null, max = null, unitText = null, amount = null;
+
+    if (value && typeof value === 'object') {
+        min = value.minValue ?? null;
+        max = value.maxValue ?? null;
+        amount = value.value ?? null;
+        unitText = value.unitText ?? baseSalary.unitText ?? null;
+    } else if (typeof value === 'number') {
+        amount = value;
+    }
+
+    const out = {};
+    if (currency) out.salary_currency = currency;
+    if (unitText) out.salary_period = unitText; // MONTH, HOUR, YEAR
+    if (min != null) out.salary_min = min;
+    if (max != null) out.salary_max = max;
+    if (amount != null && min == null && max == null) out.salary_amount = amount;
+
+    return Object.keys(out).length ? out : null;
+};
+
+// First JSON-LD item of one of the given @types
+export const parseAllJsonLd = ($, types = ['JobPosting']) => {
+    const blocks = $('script[type="application/ld+json"]');
+    const found = [];
+    blocks.each((_, el) => {
+        const raw = $(el).contents().text();
+        if (!raw) return;
+        try {
+            const data = JSON.parse(raw);
+            const items = Array.isArray(data) ? data : [data];
+            for (const item of items) {
+                const type = item['@type'] || item.type;
+                const matches = (Array.isArray(type) ? type : [type]).some((t) => types.includes(t));
+                if (matches) found.push(item);
+            }
+        } catch {
+            // ignore malformed JSON
+        }
+    });
+    return found[0] || null;
+};
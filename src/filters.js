@@ -0,0 +1,97 @@
+/**
+ * Post-extraction filters: declarative include/exclude rules applied to every
+ * record before it is saved. Filtered records don't count toward results_wanted.
+ */
+import { normText } from './text.js';
+
+const fold = (s) => normText(s).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+// stringList inputs may also arrive as one comma / newline separated string
+const toList = (value) => (Array.isArray(value) ? value : String(value ?? '').split(/[\n,]/))
+    .map((v) => normText(v))
+    .filter(Boolean);
+
+const toRegexes = (name, value) => toList(value).map((pattern) => {
+    try {
+        return new RegExp(pattern, 'i');
+    } catch (err) {
+        throw new Error(`Invalid "${name}" pattern "${pattern}": ${err.message}`);
+    }
+});
+
+const WORK_MODALITIES = ['onsite', 'hybrid', 'remote'];
+
+/**
+ * Compile the filter inputs; returns null when none is set. Throws with a
+ * readable message on bad input so the run fails before crawling.
+ */
+export const parseFilterOptions = ({
+    titleInclude,
+    titleExclude,
+    excludeCompanies,
+    minSalary,
+    requiredModality,
+    maxPostingAgeDays,
+    descriptionKeywords,
+    descriptionExcludeKeywords,
+} = {}) => {
+    const filters = {
+        titleInclude: toRegexes('titleInclude', titleInclude),
+        titleExclude: toRegexes('titleExclude', titleExclude),
+        excludeCompanies: toList(excludeCompanies).map(fold),
+        minSalary: minSalary == null || minSalary === '' ? null : Number(minSalary),
+        requiredModality: toList(requiredModality).map((m) => m.toLowerCase()),
+        maxPostingAgeDays: maxPostingAgeDays == null || maxPostingAgeDays === '' ? null : Number(maxPostingAgeDays),
+        descriptionKeywords: toList(descriptionKeywords).map(fold),
+        descriptionExcludeKeywords: toList(descriptionExcludeKeywords).map(fold),
+    };
+
+    if (filters.minSalary != null && !(filters.minSalary >= 0)) throw new Error(`Invalid "minSalary" input "${minSalary}": expected a positive number`);
+    if (filters.maxPostingAgeDays != null && !(filters.maxPostingAgeDays > 0)) {
+        throw new Error(`Invalid "maxPostingAgeDays" input "${maxPostingAgeDays}": expected a positive number`);
+    }
+    for (const m of filters.requiredModality) {
+        if (!WORK_MODALITIES.includes(m)) throw new Error(`Invalid "requiredModality" value "${m}". Use one of: ${WORK_MODALITIES.join(', ')}`);
+    }
+
+    const active = Object.values(filters).some((v) => (Array.isArray(v) ? v.length : v != null));
+    return active ? filters : null;
+};
+
+// Best monthly figure of a record: the upper end wins so ranges reaching the minimum pass
+const topSalary = (job) => job.salary_monthly_max ?? job.salary_monthly_min ?? job.salary_max ?? job.salary_amount ?? job.salary_min ?? null;
+
+/**
+ * Returns the filter_reason that rejects the record, or null to keep it.
+ * Rules only look at fields the record type carries: listing cards have no
+ * description or modality, so those rules are skipped for them. Jobs with an
+ * unknown salary or posting date are kept.
+ */
+export const getFilterReason = (job, filters) => {
+    if (!filters) return null;
+    const title = job.title || '';
+
+    if (filters.titleInclude.length && !filters.titleInclude.some((re) => re.test(title))) return 'title_not_included';
+    if (filters.titleExclude.some((re) => re.test(title))) return 'title_excluded';
+
+    const company = fold(job.company);
+    if (company && filters.excludeCompanies.some((c) => company.includes(c))) return 'company_excluded';
+
+    const salary = topSalary(job);
+    if (filters.minSalary != null && typeof salary === 'number' && salary < filters.minSalary) return 'salary_below_min';
+
+    if (filters.requiredModality.length && job.work_modality !== undefined && !filters.requiredModality.includes(job.work_modality)) {
+        return 'modality_mismatch';
+    }
+
+    const posted = Date.parse(job.datePosted);
+    if (filters.maxPostingAgeDays != null && !Number.isNaN(posted) && Date.now() - posted > filters.maxPostingAgeDays * 86400000) return 'too_old';
+
+    if (job.description_text !== undefined) {
+        const description = fold(job.description_text);
+        if (filters.descriptionKeywords.length && !filters.descriptionKeywords.some((k) => description.includes(k))) return 'description_keywords_missing';
+        if (filters.descriptionExcludeKeywords.some((k) => description.includes(k))) return 'description_excluded';
+    }
+
+    return null;
+};
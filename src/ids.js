@@ -0,0 +1,92 @@
+/**
+ * Offer identity: the Computrabajo offer ID from detail URLs or pages,
+ * with a content hash for pages that expose none; company slugs from profile links
+ */
+import { createHash } from 'node:crypto';
+
+import { normText } from './text.js';
+
+// Offer IDs are 16+ hex chars (usually a 32-char GUID without dashes)
+const OFFER_ID_RE = /^[0-9A-F]{16,}$/i;
+
+// Normalized offer ID, or null for anything that is not one (placeholders, numeric IDs)
+export const toOfferId = (raw) => {
+    const s = normText(raw).replace(/-/g, '');
+    return OFFER_ID_RE.test(s) ? s.toUpperCase() : null;
+};
+
+// Offer IDs are the trailing hex token of detail URLs: ".../oferta-de-trabajo-de-...-9C8C9C8F3E3A1B2C"
+export const parseOfferIdFromUrl = (url) => {
+    const m = String(url || '').match(/-([0-9A-F]{16,})(?:[/?#]|$)/i);
+    return m ? m[1].toUpperCase() : null;
+};
+
+/**
+ * Offer ID printed in the page itself: JSON-LD identifier, data attributes and
+ * hidden inputs used by the apply form, else the canonical / og:url link.
+ * Survives tracking variants and redirects that drop the ID from the URL.
+ */
+export const parseOfferIdFromPage = ($, jsonLdIdentifier = null) => {
+    const identifier = jsonLdIdentifier?.value ?? jsonLdIdentifier;
+    const candidates = [
+        typeof identifier === 'object' ? null : identifier,
+        $('[data-offer-id]').first().attr('data-offer-id'),
+        $('input#IdOffer, input[name="IdOffer"], input[name="oi"]').first().attr('value'),
+    ];
+    for (const c of candidates) {
+        const id = toOfferId(c);
+        if (id) return id;
+    }
+    return parseOfferIdFromUrl($('link[rel="canonical"]').attr('href')) ||
+        parseOfferIdFromUrl($('meta[property="og:url"]').attr('content'));
+};
+
+// Stable fallback key: same title + company + location always hashes the same
+export const hashJobContent = ({ title, company, location } = {}) => {
+    const basis = [title, company, location].map((s) => normText(s).toLowerCase()).join('|');
+    return `hash-${createHash('sha1').update(basis).digest('hex').slice(0, 16)}`;
+};
+
+/**
+ * job_id for a record: offer ID from the markup (detail page or listing card),
+ * then the URL, then the content hash.
+ * job_id_source tells which one was used ("page" | "url" | "hash").
+ */
+export const resolveJobId = ({ pageId = null, url = null, title, company, location }) => {
+    if (pageId) return { job_id: pageId, job_id_source: 'page' };
+    const urlId = parseOfferIdFromUrl(url);
+    if (urlId) return { job_id: urlId, job_id_source: 'url' };
+    return { job_id: hashJobContent({ title, company, location }), job_id_source: 'hash' };
+};
+
+// Request uniqueKey for an offer, so URL variants of one offer are queued once
+export const offerUniqueKey = (id) => `offer:${id}`;
+
+// ".../empresas/grupo-automotriz-del-bajio-0F1E2D3C4B5A6978/ofertas?x=1" -> slug + canonical profile URL
+export const parseCompanyUrl = (href, baseUrl) => {
+    if (!href) return null;
+    let u;
+    try {
+        u = new URL(href, baseUrl);
+    } catch {
+        return null;
+    }
+    const m = u.pathname.match(/\/empresas?\/([^/?#]+)/i);
+    if (!m) return null;
+    let slug;
+    try {
+        slug = decodeURIComponent(m[1]);
+    } catch {
+        slug = m[1]; // malformed percent-escape: keep the slug as written
+    }
+    return { company_id: slug.toLowerCase(), company_url: `${u.origin}/empresas/${m[1]}` };
+};
+
+// company_id / company_url from the first profile link inside $el; nulls when there is none
+export const pickCompanyLink = ($el, baseUrl) => parseCompanyUrl(
+    $el.find('a[href*="/empresas/"], a[href*="/empresa/"]').first().attr('href'),
+    baseUrl,
+) || { company_id: null, company_url: null };
+
+// Request uniqueKey for a company profile, so each profile is fetched once per run
+export const companyUniqueKey = (companyId) => `company:${companyId}`;
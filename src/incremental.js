@@ -0,0 +1,79 @@
+/**
+ * Incremental mode: remembers offers across runs in a named key-value store
+ * so only new offers are scraped, and offers gone for N runs are reported as expired
+ */
+import { KeyValueStore } from 'crawlee';
+
+export const DEFAULT_SEEN_STORE = 'computrabajo-seen-offers';
+const RECORD_KEY = 'SEEN_OFFERS';
+
+/**
+ * Loads the seen-offers record and starts a new run. Stored per offer (keyed by
+ * getOfferKey): { job_id, first_seen, last_seen, last_seen_run, url, title, company }.
+ * runId is the platform run ID: reopening the store in the same run (after a
+ * migration or restart) resumes that run instead of counting a new one.
+ * Nothing is written back until save() is called.
+ */
+export const openSeenOffers = async ({ storeName = DEFAULT_SEEN_STORE, expireAfterRuns = 3, runId = null } = {}) => {
+    const store = await KeyValueStore.open(storeName);
+    const saved = (await store.getValue(RECORD_KEY)) || {};
+    const offers = saved.offers || {};
+    const resumed = Boolean(runId) && saved.run_id === runId;
+    const run = resumed ? saved.run : (saved.run || 0) + 1;
+    let seenThisRun = resumed ? Object.values(offers).filter((offer) => offer.last_seen_run === run).length : 0;
+
+    return {
+        run,
+
+        resumed,
+
+        isKnown: (id) => Boolean(offers[id]),
+
+        // Returns true when the offer had never been seen before
+        markSeen(id, { job_id, url, title, company } = {}) {
+            const prev = offers[id];
+            if (prev?.last_seen_run !== run) seenThisRun++;
+            const now = new Date().toISOString();
+            offers[id] = {
+                ...prev,
+                job_id: job_id || prev?.job_id || null,
+                first_seen: prev?.first_seen || now,
+                last_seen: now,
+                last_seen_run: run,
+                url: url || prev?.url || null,
+                title: title || prev?.title || null,
+                company: company || prev?.company || null,
+            };
+            return !prev;
+        },
+
+        // Offers missing for expireAfterRuns runs, as output records; they are forgotten afterwards
+        takeExpired() {
+            // A run that saw nothing was most likely blocked; expiring everything would be wrong
+            if (!seenThisRun) return [];
+            const expired = [];
+            const now = new Date().toISOString();
+            for (const [id, offer] of Object.entries(offers)) {
+                if (run - offer.last_seen_run < expireAfterRuns) continue;
+                expired.push({
+                    status: 'expired',
+                    job_id: offer.job_id || id,
+                    url: offer.url,
+                    title: offer.title,
+                    company: offer.company,
+                    first_seen: offer.first_seen,
+                    last_seen: offer.last_seen,
+                    expired_at: now,
+                });
+                delete offers[id];
+            }
+            return expired;
+        },
+
+        get size() {
+            return Object.keys(offers).length;
+        },
+
+        save: () => store.setValue(RECORD_KEY, { run, run_id: runId, offers }),
+    };
+};
@@ -0,0 +1,140 @@
+/**
+ * Listing page helpers: offer URLs, pagination and job cards
+ */
+import { normText, pickFirstNonEmpty, clipText } from './text.js';
+import { toPostedDateFields } from './dates.js';
+import { cleanCompanyName } from './detail.js';
+import { getCountrySite } from './sites.js';
+import { parseSalaryText } from './salary.js';
+import { parseOfferIdFromUrl, resolveJobId, pickCompanyLink, toOfferId } from './ids.js';
+import { normalizeLocation } from './locations.js';
+
+// -------------------- Search context --------------------
+
+const LISTING_SNIPPET_MAX = 300;
+const FEATURED_RE = /^(oferta )?(destacad[ao]|patrocinad[ao]|promocionad[ao]|urgente destacad[ao])$/i;
+
+/**
+ * How a record was found: the search (start URL and keyword), the listing page
+ * and the card's rank on it, whether the card was promoted, and the card text.
+ * Every key is present; null for offers not reached through a listing page.
+ */
+export const toSearchContext = ({
+    search_url = null,
+    search_query = null,
+    page = null,
+    rank = null,
+    is_featured = null,
+    listing_snippet = null,
+} = {}) => ({ search_url, search_query, page, rank, is_featured, listing_snippet });
+
+// Promoted cards carry a marker class or a "Destacada" / "Patrocinada" tag
+const isFeaturedCard = ($, $card) => $card.is('.sel, .destacada, .featured, [data-featured="true"]')
+    || $card.find('span, p, div').toArray().some((el) => FEATURED_RE.test(normText($(el).text())));
+
+// -------------------- Listing cards --------------------
+
+// Drop hash and tracking params so the same offer always maps to one URL
+export const cleanJobUrl = (url) => {
+    try {
+        const u = new URL(url);
+        u.hash = '';
+        ['utm_source', 'utm_medium', 'utm_campaign', 'gclid', 'fbclid'].forEach((k) => u.searchParams.delete(k));
+        return u.toString();
+    } catch {
+        return url;
+    }
+};
+
+// Stable key for an offer: its ID when the URL carries one, else the cleaned URL
+export const getOfferKey = (url) => parseOfferIdFromUrl(url) || cleanJobUrl(url);
+
+export const isDetailUrl = (url) => /\/oferta-|\/job\/|\/empleo\/|\/vacante\//i.test(url);
+
+// Next listing page: explicit "next" controls first, else bump the "p" query param
+export const getNextPageUrl = ($, request) => {
+    const { startUrl = request.url, page = 1 } = request.userData;
+    const href = pickFirstNonEmpty(
+        $('a[rel="next"], a.js-o-pager.next, a.next, .pagination a:contains("Siguiente")').first().attr('href'),
+        $('[data-path][title*="Siguiente"], [data-path].next').first().attr('data-path'),
+    );
+    if (href) {
+        try {
+            return new URL(href, request.url).toString();
+        } catch { /* fall through */ }
+    }
+    const u = new URL(startUrl);
+    u.searchParams.set('p', String(page + 1));
+    return u.toString();
+};
+
+/**
+ * Job cards of a listing page in page order. search ({ search_url,
+ * search_query, page }) is copied into each card's search context.
+ */
+export const extractListingCards = ($, pageUrl, site = getCountrySite(pageUrl), search = {}) => {
+    const cards = [];
+    $('article.box_offer, .box_offer, article[data-id]').each((i, el) => {
+        const $card = $(el);
+
+        const $link = $card.find('h2 a, a.js-o-link, a[href*="/oferta-"]').first();
+        const href = $link.attr('href');
+        if (!href) return;
+        let url;
+        try {
+            url = cleanJobUrl(new URL(href, pageUrl).toString());
+        } catch {
+            return;
+        }
+
+        const title = normText($link.text());
+        if (!title) return;
+
+        const company = cleanCompanyName(pickFirstNonEmpty(
+            $card.find('a[href*="/empresas/"], a[href*="/empresa/"]').first().text(),
+            $card.find('p.dFlex a, p.dFlex span, .fc_base.t_ellipsis').first().text(),
+        ));
+
+        const location = pickFirstNonEmpty(
+            $card.find('p.fs16 span.mr10, [class*="location"]').first().text(),
+            $card.find('p.fs16').not(':has(a)').first().text(),
+        );
+
+        // Salary snippet sits next to an icon; fall back to any currency-looking chip
+        let salary_text = pickFirstNonEmpty($card.find('.i_salary').parent().text());
+        if (!salary_text) {
+            $card.find('span, div').each((__, chip) => {
+                const txt = normText($(chip).children().length ? '' : $(chip).text());
+                if (/\$\s?\d|salario|sueldo/i.test(txt)) {
+                    salary_text = txt;
+                    return false;
+                }
+            });
+        }
+
+        const dateText = pickFirstNonEmpty($card.find('p.fc_aux, .fc_aux, [class*="date"]').last().text());
+
+        const job = {
+            url,
+            source: 'computrabajo.com',
+            country: site.code,
+            site_domain: site.domain,
+            ...resolveJobId({ pageId: toOfferId($card.attr('data-id')), url, title, company, location }),
+            title,
+            company: company || null,
+            ...pickCompanyLink($card, pageUrl),
+            location: location || null,
+            ...normalizeLocation(location, site),
+            ...toPostedDateFields(dateText, site.timeZone),
+        };
+        if (salary_text) Object.assign(job, parseSalaryText(salary_text, site.currency), { salary_text });
+        Object.assign(job, toSearchContext({
+            ...search,
+            rank: i + 1,
+            is_featured: isFeaturedCard($, $card),
+            listing_snippet: clipText($card.text(), LISTING_SNIPPET_MAX),
+        }));
+        cards.push(job);
+    });
+    return cards;
+};
@@ -0,0 +1,100 @@
+/**
+ * Location normalization: free-text Computrabajo locations ("Zapopan, Jalisco, MX",
+ * "Miguel Hidalgo, CDMX | Monterrey, NL") to city / state / state_code
+ */
+import { normText } from './text.js';
+import { MX_STATES } from './mx-gazetteer.js';
+
+// Accent-, case- and punctuation-free key: "Edo. Méx." and "Estado de México" meet here
+const placeKey = (s) => normText(s)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\bcd\b\.?/g, 'ciudad')
+    .replace(/\bedo\b\.?/g, 'estado')
+    .replace(/[^a-z0-9]/g, '');
+
+const COUNTRY_KEYS = new Set(['mx', 'mexico', 'republicamexicana']);
+
+// -------------------- Gazetteer indexes --------------------
+
+const STATE_BY_KEY = new Map();
+const CITIES_BY_KEY = new Map(); // key -> [{ name, state }], several when the name exists in more than one state
+
+for (const state of MX_STATES) {
+    for (const alias of [state.name, ...state.aliases]) STATE_BY_KEY.set(placeKey(alias), state);
+    for (const entry of state.cities) {
+        const [name, ...aliases] = entry.split('|');
+        for (const alias of [name, ...aliases]) {
+            const key = placeKey(alias);
+            const list = CITIES_BY_KEY.get(key) || [];
+            if (!list.some((c) => c.state === state)) list.push({ name: state.city || name, state });
+            CITIES_BY_KEY.set(key, list);
+        }
+    }
+}
+
+// -------------------- Parsing --------------------
+
+// One posting: "Zapopan, Jalisco" / "Cancún, Q. Roo" / "CDMX" / "Monterrey"
+const parsePlace = (text) => {
+    const keys = text.split(/[,()]|\s[-–/]\s/).map(placeKey).filter((k) => k && !COUNTRY_KEYS.has(k));
+
+    // The state is usually last: scan from the end
+    let state = null;
+    let stateIdx = -1;
+    for (let i = keys.length - 1; i >= 0; i--) {
+        if (STATE_BY_KEY.has(keys[i])) {
+            state = STATE_BY_KEY.get(keys[i]);
+            stateIdx = i;
+            break;
+        }
+    }
+
+    // City: first segment naming a municipality of that state; without a state only unambiguous names count
+    let city = null;
+    for (let i = 0; i < keys.length && !city; i++) {
+        if (i === stateIdx) continue;
+        const candidates = (CITIES_BY_KEY.get(keys[i]) || []).filter((c) => !state || c.state === state);
+        if (candidates.length === 1 || (state && candidates.length)) city = candidates[0];
+    }
+
+    state = state || city?.state;
+    if (!state) return null;
+    return {
+        city: city?.name || state.city || null,
+        state: state.name,
+        state_code: state.code,
+        country_code: 'MX',
+    };
+};
+
+/**
+ * Normalize a location string for a country site. Multi-location postings are
+ * separated by "|", ";" or new lines; the first recognized place fills the
+ * top-level fields and every recognized place goes to all_locations.
+ * Only Mexican places are resolved; other sites just get country_code. States
+ * always resolve; cities only for municipalities in the gazetteer (see mx-gazetteer.js).
+ */
+export const normalizeLocation = (text, site = { code: 'mx' }) => {
+    const out = {
+        city: null,
+        state: null,
+        state_code: null,
+        country_code: String(site.code || '').toUpperCase() || null,
+        all_locations: [],
+    };
+    if (!text || site.code !== 'mx') return out;
+
+    const seen = new Set();
+    for (const part of String(text).split(/[|;\n]/)) {
+        const place = parsePlace(part);
+        if (!place) continue;
+        const id = `${place.state_code}:${place.city}`;
+        if (seen.has(id)) continue;
+        seen.add(id);
+        out.all_locations.push(place);
+    }
+    if (out.all_locations.length) Object.assign(out, out.all_locations[0], { all_locations: out.all_locations });
+    return out;
+};
@@ -0,0 +1,143 @@
+/**
+ * Markdown rendering of sanitized description HTML (see stripAttrsKeepTags)
+ * and its split into the usual Computrabajo sections
+ */
+import { load as cheerioLoad } from 'cheerio';
+
+// Characters that would otherwise turn plain text into markup
+const escapeMarkdown = (s) => s.replace(/([\\`*_[\]])/g, '\\$1');
+
+// "** x **" is not bold in Markdown, so surrounding spaces go outside the markers
+const wrapInline = (content, marker) => {
+    const m = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return m[2] ? `${m[1]}${marker}${m[2]}${marker}${m[3]}` : content;
+};
+
+const resolveHref = (href, baseUrl) => {
+    try {
+        return new URL(href, baseUrl).href;
+    } catch {
+        return null;
+    }
+};
+
+// Lines of a rendered block without the stray space a collapsed text node leaves after a break
+const tidyLines = (text) => text.split('\n').map((line) => line.replace(/^ (?=\S)/, '').trimEnd());
+
+const renderNodes = ($, nodes, ctx) => nodes.map((node) => renderNode($, node, ctx)).join('');
+
+const renderList = ($, el, ctx) => {
+    const ordered = el.name === 'ol';
+    const items = $(el).children('li').get().map((li, i) => {
+        const marker = ordered ? `${i + 1}. ` : '- ';
+        const content = tidyLines(renderNodes($, li.children || [], ctx).trim().replace(/\n{2,}/g, '\n'));
+        return marker + content.map((line, j) => (j && line ? ' '.repeat(marker.length) + line : line)).join('\n');
+    });
+    return items.length ? `\n\n${items.join('\n')}\n\n` : '';
+};
+
+const renderNode = ($, node, ctx) => {
+    if (node.type === 'text') return escapeMarkdown(node.data.replace(/\s+/g, ' '));
+    if (node.type !== 'tag') return '';
+    const inner = () => renderNodes($, node.children || [], ctx);
+    switch (node.name) {
+        case 'br':
+            return '\n';
+        case 'p':
+        case 'div':
+            return `\n\n${inner().trim()}\n\n`;
+        case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6': {
+            const text = inner().replace(/\s+/g, ' ').trim();
+            return text ? `\n\n${'#'.repeat(Number(node.name[1]))} ${text}\n\n` : '';
+        }
+        case 'strong':
+        case 'b':
+            return wrapInline(inner(), '**');
+        case 'em':
+        case 'i':
+            return wrapInline(inner(), '*');
+        case 'a': {
+            const text = inner();
+            const href = node.attribs?.href && resolveHref(node.attribs.href, ctx.baseUrl);
+            if (!href || !/^(https?|mailto):/i.test(href) || !text.trim()) return text;
+            const [, lead, label, trail] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+            return `${lead}[${label}](${href.replace(/\)/g, '%29')})${trail}`;
+        }
+        case 'ul':
+        case 'ol':
+            return renderList($, node, ctx);
+        default:
+            return inner();
+    }
+};
+
+/**
+ * Headings (#), bold and italics, links (made absolute against baseUrl) and
+ * bullet / numbered lists, nested lists indented under their item.
+ * Returns null for empty input.
+ */
+export const htmlToMarkdown = (html, baseUrl = undefined) => {
+    if (!html) return null;
+    const $ = cheerioLoad(html);
+    const md = tidyLines(renderNodes($, $('body').contents().get(), { baseUrl }))
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+    return md || null;
+};
+
+// -------------------- Sections --------------------
+
+// Matched against the folded heading text ("¿Qué ofrecemos?" -> "que ofrecemos")
+const SECTION_HEADINGS = [
+    ['responsibilities', /^(tus )?(responsabilidades|funciones|actividades|tareas)( principales| del puesto)?$|^que haras$/],
+    ['requirements', /^(requisitos|requerimientos|perfil|perfil del puesto|perfil requerido|que buscamos|competencias)$/],
+    ['benefits', /^((te )?ofrecemos|que (te )?ofrecemos|prestaciones|beneficios)( y beneficios| de ley)?$/],
+];
+
+const fold = (s) => s.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    .replace(/[^a-z0-9 ]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Heading text of a Markdown line: "### Requisitos", "**Ofrecemos:**" or a short "Requisitos:" line
+const headingText = (line) => {
+    const m = line.match(/^#{1,6} (.+)$/) || line.match(/^\*\*([^*]+?):?\*\*:?$/) || line.match(/^([^\s*#-][^*]{0,40}):$/);
+    return m ? m[1] : null;
+};
+
+const sectionOf = (line) => {
+    const heading = headingText(line.trim());
+    if (!heading) return null;
+    const key = fold(heading);
+    return SECTION_HEADINGS.find(([, re]) => re.test(key))?.[0] || null;
+};
+
+/**
+ * Splits description Markdown at recognized Spanish headings into
+ * { summary, responsibilities, requirements, benefits }. Only sections that
+ * were found are present (summary is the text before the first of them);
+ * returns null when no heading is recognized.
+ */
+export const splitDescriptionSections = (markdown) => {
+    if (!markdown) return null;
+    const sections = {};
+    let current = 'summary';
+    let found = false;
+    for (const line of markdown.split('\n')) {
+        const section = sectionOf(line);
+        if (section) {
+            current = section;
+            found = true;
+            continue;
+        }
+        sections[current] = current in sections ? `${sections[current]}\n${line}` : line;
+    }
+    if (!found) return null;
+    for (const [key, text] of Object.entries(sections)) {
+        const trimmed = text.trim();
+        if (trimmed) sections[key] = trimmed;
+        else delete sections[key];
+    }
+    return sections;
+};
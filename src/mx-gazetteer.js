@@ -0,0 +1,199 @@
+/**
+ * Offline gazetteer of Mexico's 32 federal entities (ISO 3166-2:MX codes) and
+ * the municipalities where Computrabajo postings concentrate.
+ * Entries are "Canonical name|alias|alias"; aliases cover abbreviations,
+ * official long names and the city a municipality is known by.
+ *
+ * States are complete; municipalities are not. Only state capitals, metro areas
+ * and the main employment centers are listed, not INEGI's ~2,470 municipalities,
+ * so `city` is best-effort: an unlisted municipality leaves city null, and the
+ * record falls back to state-only when the location also names the state
+ * ("Tequila, Jalisco"), or resolves nothing when it does not ("Tequila").
+ */
+export const MX_STATES = [
+    {
+        code: 'AGU', name: 'Aguascalientes', aliases: ['Ags', 'Ags.'],
+        cities: ['Aguascalientes', 'Jesús María', 'Calvillo', 'Rincón de Romos', 'Pabellón de Arteaga', 'San Francisco de los Romo'],
+    },
+    {
+        code: 'BCN', name: 'Baja California', aliases: ['BC', 'B.C.', 'Baja California Norte'],
+        cities: ['Tijuana', 'Mexicali', 'Ensenada', 'Tecate', 'Playas de Rosarito|Rosarito', 'San Quintín'],
+    },
+    {
+        code: 'BCS', name: 'Baja California Sur', aliases: ['BCS', 'B.C.S.'],
+        cities: ['La Paz', 'Los Cabos|Cabo San Lucas|San José del Cabo', 'Comondú|Ciudad Constitución', 'Mulegé', 'Loreto'],
+    },
+    {
+        code: 'CAM', name: 'Campeche', aliases: ['Camp', 'Camp.'],
+        cities: ['Campeche|San Francisco de Campeche', 'Carmen|Ciudad del Carmen', 'Champotón', 'Escárcega', 'Calkiní'],
+    },
+    {
+        code: 'CHP', name: 'Chiapas', aliases: ['Chis', 'Chis.'],
+        cities: ['Tuxtla Gutiérrez|Tuxtla', 'Tapachula', 'San Cristóbal de las Casas|San Cristóbal', 'Comitán de Domínguez|Comitán', 'Palenque', 'Chiapa de Corzo', 'Villaflores'],
+    },
+    {
+        code: 'CHH', name: 'Chihuahua', aliases: ['Chih', 'Chih.'],
+        cities: ['Chihuahua', 'Juárez|Ciudad Juárez', 'Delicias', 'Cuauhtémoc', 'Hidalgo del Parral|Parral', 'Nuevo Casas Grandes', 'Camargo', 'Jiménez'],
+    },
+    {
+        code: 'CMX', name: 'Ciudad de México', aliases: ['CDMX', 'CD MX', 'Distrito Federal', 'DF', 'D.F.', 'México D.F.', 'México DF'],
+        // The 16 alcaldías are reported as the city itself
+        city: 'Ciudad de México',
+        cities: [
+            'Ciudad de México|Álvaro Obregón|Azcapotzalco|Benito Juárez|Coyoacán|Cuajimalpa de Morelos|Cuajimalpa|Cuauhtémoc|Gustavo A. Madero|Iztacalco|Iztapalapa|La Magdalena Contreras|Magdalena Contreras|Miguel Hidalgo|Milpa Alta|Tláhuac|Tlalpan|Venustiano Carranza|Xochimilco',
+        ],
+    },
+    {
+        code: 'COA', name: 'Coahuila', aliases: ['Coahuila de Zaragoza', 'Coah', 'Coah.'],
+        cities: ['Saltillo', 'Torreón', 'Monclova', 'Piedras Negras', 'Acuña|Ciudad Acuña', 'Ramos Arizpe', 'Sabinas', 'Frontera', 'Francisco I. Madero'],
+    },
+    {
+        code: 'COL', name: 'Colima', aliases: ['Col', 'Col.'],
+        cities: ['Colima', 'Manzanillo', 'Villa de Álvarez', 'Tecomán', 'Armería'],
+    },
+    {
+        code: 'DUR', name: 'Durango', aliases: ['Dgo', 'Dgo.'],
+        cities: ['Durango|Victoria de Durango', 'Gómez Palacio', 'Lerdo|Ciudad Lerdo', 'Santiago Papasquiaro', 'Pueblo Nuevo'],
+    },
+    {
+        code: 'GUA', name: 'Guanajuato', aliases: ['Gto', 'Gto.'],
+        cities: [
+            'León|León de los Aldama', 'Irapuato', 'Celaya', 'Salamanca', 'Guanajuato', 'Silao|Silao de la Victoria',
+            'San Miguel de Allende', 'Dolores Hidalgo', 'Pénjamo', 'Valle de Santiago', 'Acámbaro', 'San Francisco del Rincón',
+            'Cortazar', 'Apaseo el Grande', 'Uriangato', 'Moroleón',
+        ],
+    },
+    {
+        code: 'GRO', name: 'Guerrero', aliases: ['Gro', 'Gro.'],
+        cities: [
+            'Acapulco|Acapulco de Juárez', 'Chilpancingo|Chilpancingo de los Bravo', 'Iguala|Iguala de la Independencia',
+            'Zihuatanejo|Zihuatanejo de Azueta|Ixtapa', 'Taxco|Taxco de Alarcón', 'Tlapa de Comonfort',
+        ],
+    },
+    {
+        code: 'HID', name: 'Hidalgo', aliases: ['Hgo', 'Hgo.'],
+        cities: [
+            'Pachuca|Pachuca de Soto', 'Tulancingo|Tulancingo de Bravo', 'Tula de Allende|Tula', 'Tizayuca', 'Mineral de la Reforma',
+            'Huejutla de Reyes', 'Tepeji del Río|Tepeji del Río de Ocampo', 'Actopan', 'Ixmiquilpan', 'Apan',
+        ],
+    },
+    {
+        code: 'JAL', name: 'Jalisco', aliases: ['Jal', 'Jal.'],
+        cities: [
+            'Guadalajara', 'Zapopan', 'Tlaquepaque|San Pedro Tlaquepaque', 'Tonalá', 'Tlajomulco de Zúñiga|Tlajomulco', 'Puerto Vallarta',
+            'Lagos de Moreno', 'Tepatitlán de Morelos|Tepatitlán', 'El Salto', 'Ocotlán', 'Zapotlán el Grande|Ciudad Guzmán',
+            'Chapala', 'Autlán de Navarro|Autlán', 'Arandas', 'Ameca',
+        ],
+    },
+    {
+        code: 'MEX', name: 'Estado de México', aliases: ['Edo. Méx.', 'Edo. de México', 'Edomex', 'Méx.', 'Méx'],
+        cities: [
+            'Toluca|Toluca de Lerdo', 'Ecatepec|Ecatepec de Morelos', 'Naucalpan|Naucalpan de Juárez', 'Tlalnepantla|Tlalnepantla de Baz',
+            'Nezahualcóyotl|Ciudad Nezahualcóyotl|Neza', 'Cuautitlán Izcalli|Izcalli', 'Cuautitlán', 'Atizapán de Zaragoza|Atizapán',
+            'Tultitlán', 'Huixquilucan', 'Metepec', 'Chimalhuacán', 'Chalco|Chalco de Díaz Covarrubias', 'Ixtapaluca', 'Texcoco',
+            'Tecámac', 'Nicolás Romero', 'Coacalco|Coacalco de Berriozábal', 'Lerma', 'Zinacantepec', 'Valle de Chalco|Valle de Chalco Solidaridad',
+            'Tultepec', 'Zumpango', 'Huehuetoca', 'Teoloyucan', 'Ocoyoacac', 'San Mateo Atenco', 'Tepotzotlán',
+        ],
+    },
+    {
+        code: 'MIC', name: 'Michoacán', aliases: ['Michoacán de Ocampo', 'Mich', 'Mich.'],
+        cities: [
+            'Morelia', 'Uruapan', 'Zamora|Zamora de Hidalgo', 'Lázaro Cárdenas', 'Zitácuaro|Heroica Zitácuaro', 'Apatzingán',
+            'Pátzcuaro', 'La Piedad', 'Sahuayo',
+        ],
+    },
+    {
+        code: 'MOR', name: 'Morelos', aliases: ['Mor', 'Mor.'],
+        cities: ['Cuernavaca', 'Jiutepec', 'Cuautla', 'Temixco', 'Emiliano Zapata', 'Yautepec', 'Jojutla', 'Xochitepec'],
+    },
+    {
+        code: 'NAY', name: 'Nayarit', aliases: ['Nay', 'Nay.'],
+        cities: ['Tepic', 'Bahía de Banderas|Nuevo Vallarta', 'Santiago Ixcuintla', 'Compostela', 'Xalisco'],
+    },
+    {
+        code: 'NLE', name: 'Nuevo León', aliases: ['NL', 'N.L.', 'Nvo. León'],
+        cities: [
+            'Monterrey', 'Guadalupe', 'San Nicolás de los Garza|San Nicolás', 'Apodaca', 'San Pedro Garza García|San Pedro',
+            'General Escobedo|Escobedo', 'Santa Catarina', 'García', 'Juárez', 'Cadereyta Jiménez|Cadereyta', 'Salinas Victoria',
+            'Linares', 'Pesquería', 'Ciénega de Flores', 'Santiago', 'El Carmen',
+        ],
+    },
+    {
+        code: 'OAX', name: 'Oaxaca', aliases: ['Oax', 'Oax.'],
+        cities: [
+            'Oaxaca de Juárez|Oaxaca', 'Salina Cruz', 'Juchitán de Zaragoza|Juchitán', 'San Juan Bautista Tuxtepec|Tuxtepec',
+            'Santa Cruz Xoxocotlán|Xoxocotlán', 'Huajuapan de León|Huajuapan', 'Santa Lucía del Camino', 'Puerto Escondido|San Pedro Mixtepec',
+            'Santa María Huatulco|Huatulco', 'Matías Romero',
+        ],
+    },
+    {
+        code: 'PUE', name: 'Puebla', aliases: ['Pue', 'Pue.'],
+        cities: [
+            'Puebla|Heroica Puebla de Zaragoza', 'Tehuacán', 'San Martín Texmelucan|Texmelucan', 'Atlixco', 'San Pedro Cholula|Cholula',
+            'San Andrés Cholula', 'Huauchinango', 'Teziutlán', 'Cuautlancingo', 'Amozoc', 'Izúcar de Matamoros', 'Zacatlán',
+        ],
+    },
+    {
+        code: 'QUE', name: 'Querétaro', aliases: ['Querétaro de Arteaga', 'Qro', 'Qro.'],
+        cities: [
+            'Querétaro|Santiago de Querétaro', 'El Marqués', 'Corregidora', 'San Juan del Río', 'Tequisquiapan', 'Pedro Escobedo',
+            'Colón', 'Huimilpan', 'Ezequiel Montes', 'Cadereyta de Montes',
+        ],
+    },
+    {
+        code: 'ROO', name: 'Quintana Roo', aliases: ['Q. Roo', 'Q.Roo', 'QRoo'],
+        cities: [
+            'Cancún|Benito Juárez', 'Playa del Carmen|Solidaridad', 'Chetumal|Othón P. Blanco', 'Cozumel', 'Tulum', 'Isla Mujeres',
+            'Felipe Carrillo Puerto', 'Bacalar', 'Puerto Morelos',
+        ],
+    },
+    {
+        code: 'SLP', name: 'San Luis Potosí', aliases: ['SLP', 'S.L.P.'],
+        cities: [
+            'San Luis Potosí|San Luis', 'Soledad de Graciano Sánchez|Soledad', 'Ciudad Valles|Valles', 'Matehuala', 'Rioverde',
+            'Villa de Pozos', 'Tamazunchale',
+        ],
+    },
+    {
+        code: 'SIN', name: 'Sinaloa', aliases: ['Sin', 'Sin.'],
+        cities: ['Culiacán|Culiacán Rosales', 'Mazatlán', 'Los Mochis|Ahome', 'Guasave', 'Navolato', 'Guamúchil|Salvador Alvarado', 'El Fuerte', 'Escuinapa'],
+    },
+    {
+        code: 'SON', name: 'Sonora', aliases: ['Son', 'Son.'],
+        cities: [
+            'Hermosillo', 'Ciudad Obregón|Cajeme', 'Nogales', 'San Luis Río Colorado', 'Navojoa', 'Guaymas', 'Empalme',
+            'Agua Prieta', 'Caborca|Heroica Caborca', 'Puerto Peñasco',
+        ],
+    },
+    {
+        code: 'TAB', name: 'Tabasco', aliases: ['Tab', 'Tab.'],
+        cities: ['Villahermosa', 'Cárdenas', 'Comalcalco', 'Huimanguillo', 'Macuspana', 'Paraíso', 'Cunduacán', 'Nacajuca', 'Tenosique'],
+    },
+    {
+        code: 'TAM', name: 'Tamaulipas', aliases: ['Tamps', 'Tamps.', 'Tamp.'],
+        cities: [
+            'Reynosa', 'Matamoros|Heroica Matamoros', 'Nuevo Laredo', 'Tampico', 'Ciudad Victoria|Victoria', 'Ciudad Madero|Madero',
+            'Altamira', 'Río Bravo', 'El Mante|Ciudad Mante|Mante', 'Valle Hermoso',
+        ],
+    },
+    {
+        code: 'TLA', name: 'Tlaxcala', aliases: ['Tlax', 'Tlax.'],
+        cities: ['Tlaxcala|Tlaxcala de Xicohténcatl', 'Apizaco', 'Huamantla', 'Chiautempan|Santa Ana Chiautempan', 'Calpulalpan', 'Zacatelco', 'Tlaxco'],
+    },
+    {
+        code: 'VER', name: 'Veracruz', aliases: ['Veracruz de Ignacio de la Llave', 'Ver', 'Ver.'],
+        cities: [
+            'Veracruz|Heroica Veracruz', 'Xalapa|Xalapa-Enríquez|Jalapa', 'Coatzacoalcos', 'Córdoba', 'Poza Rica|Poza Rica de Hidalgo',
+            'Boca del Río', 'Orizaba', 'Minatitlán', 'Tuxpan|Túxpam', 'Papantla', 'Martínez de la Torre', 'San Andrés Tuxtla',
+            'Tierra Blanca', 'Cosoleacaque', 'Coatepec', 'Fortín',
+        ],
+    },
+    {
+        code: 'YUC', name: 'Yucatán', aliases: ['Yuc', 'Yuc.'],
+        cities: ['Mérida', 'Kanasín', 'Valladolid', 'Tizimín', 'Progreso', 'Umán', 'Ticul', 'Motul'],
+    },
+    {
+        code: 'ZAC', name: 'Zacatecas', aliases: ['Zac', 'Zac.'],
+        cities: ['Zacatecas', 'Fresnillo', 'Guadalupe', 'Jerez|Jerez de García Salinas', 'Río Grande', 'Sombrerete'],
+    },
+];
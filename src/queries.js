@@ -0,0 +1,58 @@
+/**
+ * Batched searches: several keyword / location / start URL queries in one run,
+ * each with its own results_wanted, max_pages and a tag stamped on its records
+ */
+import { normText } from './text.js';
+import { buildSearchUrl, parseSearchQuery } from './sites.js';
+
+const toCount = (value, fallback) => Math.max(1, Math.floor(Number(value) || fallback));
+
+/**
+ * The "queries" input (an array, or its JSON text) as
+ * [{ id, tag, url, searchQuery, maxResults, maxPages }]. A query has a startUrl
+ * or a keyword / location (plus optional posted_date and country, as in the
+ * top-level search fields); results_wanted and max_pages default to the
+ * top-level values. Returns [] without queries; throws on unusable ones.
+ */
+export const parseQueries = ({ queries } = {}, { maxResults = 50, maxPages = 10 } = {}) => {
+    if (queries == null || queries === '') return [];
+    let list = queries;
+    if (typeof list === 'string') {
+        try {
+            list = JSON.parse(list);
+        } catch (err) {
+            throw new Error(`Invalid "queries" input: malformed JSON (${err.message})`);
+        }
+    }
+    if (!Array.isArray(list)) throw new Error('Invalid "queries" input: expected an array of query objects');
+
+    return list.map((query, i) => {
+        const where = `Invalid "queries" input #${i + 1}`;
+        if (!query || typeof query !== 'object' || Array.isArray(query)) throw new Error(`${where}: expected an object`);
+        const { keyword, location, startUrl, posted_date, country, results_wanted, max_pages, tag } = query;
+
+        let url = normText(startUrl);
+        if (url) {
+            try {
+                url = new URL(url).toString();
+            } catch {
+                throw new Error(`${where}: startUrl "${url}" is not a valid URL`);
+            }
+        } else {
+            url = buildSearchUrl({ keyword, location, posted_date, country });
+            if (!url) throw new Error(`${where}: provide a startUrl or a keyword / location`);
+        }
+
+        return {
+            id: String(i + 1),
+            tag: normText(tag) || [normText(keyword), normText(location)].filter(Boolean).join(' @ ') || url,
+            url,
+            searchQuery: normText(keyword) || parseSearchQuery(url),
+            maxResults: toCount(results_wanted, maxResults),
+            maxPages: toCount(max_pages, maxPages),
+        };
+    });
+};
+
+// Request uniqueKey of a query's listing page, so queries sharing a start URL each crawl it
+export const queryListUniqueKey = (queryId, url) => `query:${queryId}:${url}`;
@@ -0,0 +1,182 @@
+/**
+ * End-of-run quality report: requests by outcome, retries, field fill rates and
+ * the extraction strategy behind each field, saved as RUN_REPORT (JSON + HTML)
+ */
+import { KeyValueStore } from 'crawlee';
+
+export const RUN_REPORT_KEY = 'RUN_REPORT';
+export const RUN_REPORT_HTML_KEY = 'RUN_REPORT.html';
+const TOP_FAILING_URLS = 10;
+
+// null, '', [] and {} count as empty; false and 0 are real values
+const isFilled = (value) => {
+    if (value == null || value === '') return false;
+    if (Array.isArray(value)) return value.length > 0;
+    if (typeof value === 'object') return Object.keys(value).length > 0;
+    return true;
+};
+
+const isPlainObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+
+// Top-level fields plus one level into nested objects ("requirements.education_level")
+const fieldEntries = (record) => Object.entries(record).flatMap(([key, value]) => (isPlainObject(value)
+    ? [[key, value], ...Object.entries(value).map(([sub, v]) => [`${key}.${sub}`, v])]
+    : [[key, value]]));
+
+const round = (n) => Math.round(n * 1000) / 1000;
+
+/**
+ * Collects saved job records (with the strategy that filled each field, when
+ * known) and finally failed requests. summary() gives fill rates per field
+ * and strategy counts per field.
+ */
+export const createQualityTracker = () => {
+    let records = 0;
+    const filled = {}; // field -> records where it was filled
+    const strategies = {}; // field -> { strategy -> records }
+    const failures = [];
+
+    return {
+        addRecord(record, fieldStrategies = null) {
+            records++;
+            for (const [field, value] of fieldEntries(record)) {
+                filled[field] = (filled[field] || 0) + (isFilled(value) ? 1 : 0);
+            }
+            for (const [field, strategy] of Object.entries(fieldStrategies || {})) {
+                const counts = strategies[field] || (strategies[field] = {});
+                counts[strategy] = (counts[strategy] || 0) + 1;
+            }
+        },
+
+        addFailure({ url, label = null, retryCount = 0, errorMessages = [], error = null }) {
+            failures.push({
+                url,
+                label,
+                retries: retryCount,
+                errors: Math.max(errorMessages.length, 1),
+                last_error: String(error?.message || error || errorMessages.at(-1) || 'unknown').split('\n')[0],
+            });
+        },
+
+        summary() {
+            const fill_rates = {};
+            for (const [field, count] of Object.entries(filled)) {
+                fill_rates[field] = { filled: count, rate: records ? round(count / records) : 0 };
+            }
+            return {
+                records,
+                fill_rates,
+                strategies,
+                top_failing_urls: [...failures].sort((a, b) => b.errors - a.errors).slice(0, TOP_FAILING_URLS),
+                failed_urls: failures.length,
+            };
+        },
+    };
+};
+
+/**
+ * state: createCrawler's run state; stats: crawler.stats.state.
+ */
+export const buildRunReport = ({ state, stats = {}, startedAt, finishedAt = new Date() }) => {
+    const { records, fill_rates, strategies, top_failing_urls, failed_urls } = state.quality.summary();
+    return {
+        started_at: startedAt.toISOString(),
+        finished_at: finishedAt.toISOString(),
+        duration_secs: Math.round((finishedAt - startedAt) / 1000),
+        results: {
+            saved: state.totalJobsSaved,
+            wanted: state.maxResultsDesired,
+            expired_offers: state.expiredOffers,
+            duplicates_skipped: state.duplicatesSkipped,
+            quarantined: state.quarantined,
+            companies_saved: state.companiesSaved,
+            filtered: state.filterReasons,
+        },
+        queries: Object.values(state.queries || {}),
+        requests: {
+            finished: stats.requestsFinished ?? null,
+            failed: stats.requestsFailed ?? failed_urls,
+            retries: stats.requestsRetries ?? null,
+            by_outcome: state.pageOutcomes,
+        },
+        sessions_retired: state.sessionsRetired,
+        fields: { records, fill_rates, strategies },
+        top_failing_urls,
+    };
+};
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const table = (headers, rows) => (rows.length
+    ? `<table><tr>${headers.map((h) => `<th>${escapeHtml(h)}</th>`).join('')}</tr>${rows
+        .map((row) => `<tr>${row.map((cell) => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`)
+        .join('')}</table>`
+    : '<p>None.</p>');
+
+const percent = (rate) => `${Math.round(rate * 100)}%`;
+
+// Fields are listed emptiest first so broken selectors surface at the top
+export const renderRunReportHtml = (report) => {
+    const { results, requests, fields } = report;
+    const fillRows = Object.entries(fields.fill_rates)
+        .sort(([, a], [, b]) => a.rate - b.rate)
+        .map(([field, { filled, rate }]) => [field, percent(rate), `${filled}/${fields.records}`]);
+    const strategyRows = Object.entries(fields.strategies).flatMap(([field, counts]) => Object.entries(counts)
+        .sort(([, a], [, b]) => b - a)
+        .map(([strategy, n]) => [field, strategy, n]));
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Computrabajo run report</title>
+<style>
+body { font-family: sans-serif; margin: 2em; color: #222; }
+table { border-collapse: collapse; margin-bottom: 1.5em; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }
+th { background: #f2f2f2; }
+</style>
+</head>
+<body>
+<h1>Run report</h1>
+<p>${escapeHtml(report.started_at)} – ${escapeHtml(report.finished_at)} (${report.duration_secs} s)</p>
+<h2>Results</h2>
+${table(['Metric', 'Value'], [
+        ['Saved', `${results.saved}/${results.wanted}`],
+        ['Expired offers', results.expired_offers],
+        ['Duplicates skipped', results.duplicates_skipped],
+        ['Quarantined (failed validation)', results.quarantined],
+        ['Companies saved', results.companies_saved],
+        ...Object.entries(results.filtered).map(([reason, n]) => [`Filtered: ${reason}`, n]),
+    ])}
+${report.queries.length ? `<h2>Queries</h2>
+${table(['Tag', 'Saved', 'Pages', 'Filtered', 'Duplicates skipped', 'Search URL'], report.queries
+        .map((q) => [q.tag, `${q.saved}/${q.wanted}`, `${q.pages}/${q.max_pages}`, q.filtered, q.duplicates_skipped, q.search_url]))}
+` : ''}<h2>Requests</h2>
+${table(['Metric', 'Value'], [
+        ['Finished', requests.finished],
+        ['Failed', requests.failed],
+        ['Retries', requests.retries],
+        ['Sessions retired', report.sessions_retired],
+        ...Object.entries(requests.by_outcome).map(([outcome, n]) => [`Outcome: ${outcome}`, n]),
+    ])}
+<h2>Field fill rates (${fields.records} records)</h2>
+${table(['Field', 'Fill rate', 'Filled'], fillRows)}
+<h2>Extraction strategies</h2>
+${table(['Field', 'Strategy', 'Records'], strategyRows)}
+<h2>Top failing URLs</h2>
+${table(['URL', 'Label', 'Errors', 'Last error'], report.top_failing_urls.map((f) => [f.url, f.label, f.errors, f.last_error]))}
+</body>
+</html>
+`;
+};
+
+export const saveRunReport = async (report) => {
+    const store = await KeyValueStore.open();
+    await store.setValue(RUN_REPORT_KEY, report);
+    await store.setValue(RUN_REPORT_HTML_KEY, renderRunReportHtml(report), { contentType: 'text/html; charset=utf-8' });
+};
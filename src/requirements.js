@@ -0,0 +1,168 @@
+/**
+ * Structured candidate requirements from the "Requerimientos" block of detail
+ * pages (education, experience, age, languages, skills, travel/relocation)
+ */
+import { load as cheerioLoad } from 'cheerio';
+
+import { normText } from './text.js';
+import { extractLabeledValue } from './fields.js';
+
+// Stated ages outside working age are parse noise ("Edad: 0", a year, a phone digit)
+const WORKING_AGE = { min: 14, max: 99 };
+const toWorkingAge = (n) => (n != null && n >= WORKING_AGE.min && n <= WORKING_AGE.max ? n : null);
+
+// Matched against lowercased, accent-free text; highest level first
+const EDUCATION_LEVELS = [
+    ['doctorate', /doctorado|phd/],
+    ['master', /maestria|posgrado|postgrado|especialidad|mba/],
+    ['bachelor', /licenciatura|ingenieria|universidad|universitari[oa]/],
+    ['technical', /tecnico|tsu|carrera tecnica|tecnologo/],
+    ['high_school', /bachillerato|preparatoria|prepa\b|media superior|ccyth|conalep/],
+    ['secondary', /secundaria/],
+    ['primary', /primaria|sin estudios/],
+];
+
+const LANGUAGES = [
+    ['en', /ingles|english/],
+    ['fr', /frances|french/],
+    ['de', /aleman|german/],
+    ['pt', /portugues|portuguese/],
+    ['it', /italiano|italian/],
+    ['zh', /chino|mandarin/],
+    ['ja', /japones/],
+    ['ko', /coreano/],
+    ['es', /espanol|castellano/],
+];
+
+const LANGUAGE_LEVELS = [
+    ['native', /nativo|materna|bilingue/],
+    ['advanced', /avanzado|alto|fluido|100\s?%|c1|c2/],
+    ['intermediate', /intermedio|medio|conversacional|b1|b2/],
+    ['basic', /basico|elemental|bajo|a1|a2/],
+];
+
+const fold = (s) => normText(s).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+const matchFirst = (patterns, text) => patterns.find(([, re]) => re.test(text))?.[0] || null;
+
+// "Sí" / "No" answers of the availability rows
+const parseYesNo = (raw) => {
+    const t = fold(raw);
+    if (!t) return null;
+    if (/^(si|yes|indispensable|requerid[ao])\b/.test(t)) return true;
+    if (/^no\b/.test(t)) return false;
+    return null;
+};
+
+// Two-number ranges and one-sided bounds: "entre 18 y 35", "2 a 4", "más de 5", "hasta 40", "3"
+const parseRange = (raw) => {
+    const t = fold(raw);
+    const nums = (t.match(/\d+/g) || []).map(Number);
+    if (!nums.length) return { min: null, max: null };
+    if (nums.length >= 2) return { min: Math.min(nums[0], nums[1]), max: Math.max(nums[0], nums[1]) };
+    if (/\b(hasta|maximo|menor(?:es)? de|menos de)\b/.test(t)) return { min: null, max: nums[0] };
+    if (/\b(mas de|mayor(?:es)? de|minimo|al menos|desde|a partir de)\b/.test(t) || /\+/.test(t)) return { min: nums[0], max: null };
+    return { min: nums[0], max: null };
+};
+
+export const normalizeEducation = (raw) => (raw ? matchFirst(EDUCATION_LEVELS, fold(raw)) : null);
+
+// "Sin experiencia" -> not required; "1 año" -> { min: 1 }; "2 a 4 años" -> { min: 2, max: 4 }
+export const parseExperience = (raw) => {
+    const t = fold(raw);
+    if (!t) return { experience_required: null, experience_min_years: null, experience_max_years: null };
+    if (/\b(sin|no (?:se )?requiere|no requerida|no necesaria)\b/.test(t) && !/\d/.test(t)) {
+        return { experience_required: false, experience_min_years: 0, experience_max_years: null };
+    }
+    let { min, max } = parseRange(t);
+    // Month counts ("6 meses") are turned into fractional years
+    if (/\bmes(es)?\b/.test(t)) {
+        min = min == null ? null : Math.round((min / 12) * 10) / 10;
+        max = max == null ? null : Math.round((max / 12) * 10) / 10;
+    }
+    return {
+        experience_required: min === 0 && !max ? false : (min != null || max != null ? true : null),
+        experience_min_years: min,
+        experience_max_years: max,
+    };
+};
+
+// "Inglés (Avanzado), Francés - Básico" -> [{ language: 'en', name: 'Inglés', level: 'advanced' }, ...]
+export const parseLanguages = (raw) => {
+    const out = [];
+    for (const part of normText(raw).split(/[,;\n]|\s+y\s+/)) {
+        const t = fold(part);
+        const language = matchFirst(LANGUAGES, t);
+        if (!language || out.some((l) => l.language === language)) continue;
+        out.push({
+            language,
+            name: normText(part.split(/[(:\-–]/)[0]) || null,
+            level: matchFirst(LANGUAGE_LEVELS, t),
+        });
+    }
+    return out;
+};
+
+// "Excel, SAP / Contpaqi; manejo de personal" -> ["Excel", "SAP", "Contpaqi", "manejo de personal"]
+export const parseSkills = (raw) => {
+    const seen = new Set();
+    return normText(raw)
+        .split(/[,;•|\n]|\s\/\s|\/(?=[A-Za-zÁÉÍÓÚÑáéíóúñ])/)
+        .map((s) => normText(s).replace(/\.$/, ''))
+        .filter((s) => {
+            const key = s.toLowerCase();
+            if (!s || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+};
+
+// The "Requerimientos" list when the page has one, so description bullets can't shadow it
+const requirementsScope = ($) => {
+    const heading = $('h2, h3, h4, p.fwB, p.title_section').filter((_, el) => /^requerimientos\b/i.test(normText($(el).text()))).first();
+    if (!heading.length) return $;
+    const list = heading.nextAll('ul').first();
+    return list.length ? cheerioLoad(`<ul>${list.html()}</ul>`) : $;
+};
+
+/**
+ * Requirements object for a detail page. JSON-LD educationRequirements /
+ * experienceRequirements fill in what the page block does not show.
+ * Every field is null (or empty) when not stated; ages outside 14-99 are dropped.
+ */
+export const extractRequirements = ($, jsonLd = {}) => {
+    const $req = requirementsScope($);
+    const labeled = (...labelRegexes) => extractLabeledValue($req, labelRegexes);
+
+    const education_text = labeled(/^educaci[oó]n m[ií]nima/i, /^escolaridad/i, /^nivel (?:de )?estudios/i) ||
+        normText(jsonLd.educationRequirements?.credentialCategory ?? (typeof jsonLd.educationRequirements === 'string' ? jsonLd.educationRequirements : '')) || null;
+
+    let experience_text = labeled(/^(?:a[ñn]os de )?experiencia(?: laboral| m[ií]nima| requerida)?\s*:/i);
+    if (!experience_text) {
+        // "3 años de experiencia" / "Sin experiencia" chips carry no separate value
+        const chip = $req('li').filter((_, el) => /\ba[ñn]os? de experiencia\b|^sin experiencia\b/i.test(normText($req(el).text()))).first();
+        experience_text = chip.length ? normText(chip.text()) : null;
+    }
+    let experience = parseExperience(experience_text);
+    const months = Number(jsonLd.experienceRequirements?.monthsOfExperience);
+    if (experience.experience_required == null && Number.isFinite(months)) {
+        experience = parseExperience(`${months} meses`);
+        experience_text = experience_text || `${months} meses`;
+    }
+
+    const ageText = labeled(/^edad/i);
+    const age = ageText ? parseRange(ageText) : { min: null, max: null };
+
+    return {
+        education_level: normalizeEducation(education_text),
+        education_text,
+        ...experience,
+        experience_text: experience_text || null,
+        age_min: toWorkingAge(age.min),
+        age_max: toWorkingAge(age.max),
+        languages: parseLanguages(labeled(/^idiomas?/i)),
+        skills: parseSkills(labeled(/^conocimientos/i, /^habilidades/i, /^software/i)),
+        travel_required: parseYesNo(labeled(/disponibilidad (?:de|para) viajar/i)),
+        relocation_required: parseYesNo(labeled(/disponibilidad (?:de|para) (?:cambio de residencia|reubicarse|mudarse)/i, /cambio de residencia/i)),
+    };
+};
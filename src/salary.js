@@ -0,0 +1,166 @@
+/**
+ * Free-text Spanish salary parsing ("$8,000.00 - $12,000.00 (Mensual)",
+ * "Sueldo: 350 por día", "A convenir") into the same fields JSON-LD salaries use
+ */
+import { normText } from './text.js';
+
+// Rough multipliers to a monthly figure. Daily wages follow the Mexican payroll
+// convention of 30.4 paid days; hourly assumes a 48 h week (208 h / month).
+const MONTHLY_FACTORS = {
+    HOUR: 208,
+    DAY: 30.4,
+    WEEK: 52 / 12,
+    SEMIMONTH: 2,
+    MONTH: 1,
+    YEAR: 1 / 12,
+};
+
+// Matched against lowercased, accent-free text
+const PERIOD_PATTERNS = [
+    ['HOUR', /\b(hora|horas|por hora)\b/],
+    ['DAY', /\b(dia|dias|diario|diaria|jornal)\b/],
+    ['SEMIMONTH', /\b(quincena|quincenal|quincenales)\b/],
+    ['WEEK', /\b(semana|semanal|semanales)\b/],
+    ['MONTH', /\b(mes|meses|mensual|mensuales)\b/],
+    ['YEAR', /\b(ano|anos|anual|anuales)\b/],
+];
+
+// What may sit between the two ends of a range once currency marks are dropped
+const RANGE_JOIN_RE = /^(?:-|–|a|al|y|hasta)$/;
+const CURRENCY_MARK_RE = /[$€₡₲]|\b(?:mxn|usd|cop|pesos|dolares)\b/g;
+// Period words only count next to the amount: up to the next number or list separator
+const PHRASE_BREAK_RE = /[;,.|•](?=\s|$)|\d/;
+const PERIOD_WINDOW_WORDS = 4;
+
+const UNDISCLOSED_RE = /\b(a convenir|no especificado|no especifica|no mostrado|confidencial|negociable|segun experiencia|(?:salario|sueldo) competitivo)\b/;
+
+const CURRENCY_PATTERNS = [
+    ['USD', /\b(usd|us\$|dolares|dolar)\b|us\$/],
+    ['EUR', /\b(eur|euros?)\b|€/],
+    ['MXN', /\bmxn\b/],
+    ['COP', /\bcop\b/],
+    ['ARS', /\bars\b/],
+    ['PEN', /\bpen\b|\bs\/\s?\d/],
+    ['CLP', /\bclp\b/],
+    ['VES', /\bves\b/],
+    ['GTQ', /\bgtq\b/],
+    ['CRC', /\bcrc\b|₡/],
+    ['UYU', /\buyu\b/],
+    ['PYG', /\bpyg\b|₲/],
+    ['BOB', /\bbob\b/],
+    ['HNL', /\bhnl\b/],
+    ['NIO', /\bnio\b/],
+    ['DOP', /\bdop\b|rd\$/],
+];
+
+const fold = (s) => normText(s).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+/**
+ * "8,000.00" -> 8000, "1.500.000" -> 1500000, "12,5" -> 12.5.
+ * A lone separator followed by exactly three digits is read as thousands.
+ */
+export const parseSpanishNumber = (raw) => {
+    let s = String(raw || '').replace(/\s/g, '');
+    if (!/\d/.test(s)) return null;
+    const lastComma = s.lastIndexOf(',');
+    const lastDot = s.lastIndexOf('.');
+    if (lastComma > -1 && lastDot > -1) {
+        const dec = lastComma > lastDot ? ',' : '.';
+        const thou = dec === ',' ? '.' : ',';
+        s = s.split(thou).join('').replace(dec, '.');
+    } else if (lastComma > -1 || lastDot > -1) {
+        const sep = lastComma > -1 ? ',' : '.';
+        const groups = s.split(sep);
+        const isThousands = groups.length > 2 || (groups[1].length === 3 && groups[0].length <= 3);
+        s = isThousands ? groups.join('') : groups.join('.');
+    }
+    const n = Number(s);
+    return Number.isFinite(n) ? n : null;
+};
+
+export const detectSalaryPeriod = (text) => {
+    const t = fold(text);
+    for (const [period, re] of PERIOD_PATTERNS) {
+        if (re.test(t)) return period;
+    }
+    return null;
+};
+
+// Monthly estimate for any salary struct with a known (or JSON-LD style) period
+export const addMonthlySalaryEstimate = (salary) => {
+    if (!salary) return salary;
+    const factor = MONTHLY_FACTORS[String(salary.salary_period || '').toUpperCase()];
+    if (!factor) return salary;
+    // One-sided ranges keep their open end null: "hasta $10,000" has no minimum
+    const low = salary.salary_min ?? salary.salary_amount;
+    const high = salary.salary_max ?? salary.salary_amount;
+    if (typeof low !== 'number' && typeof high !== 'number') return salary;
+    return {
+        ...salary,
+        salary_monthly_min: typeof low === 'number' ? Math.round(low * factor) : null,
+        salary_monthly_max: typeof high === 'number' ? Math.round(high * factor) : null,
+    };
+};
+
+// The few words right before and after the amounts, where "por día" or "(Mensual)" go;
+// a later "2 años de experiencia" is not a period
+const periodWindow = (t, start, end) => {
+    const head = t.slice(0, start).split(PHRASE_BREAK_RE).pop().trim().split(/\s+/).slice(-PERIOD_WINDOW_WORDS);
+    const tail = t.slice(end).split(PHRASE_BREAK_RE)[0].trim().split(/\s+/).slice(0, PERIOD_WINDOW_WORDS);
+    return [...head, ...tail].join(' ');
+};
+
+/**
+ * Parse a salary snippet. Ranges may be written "X - Y", "X a Y" or
+ * "entre X y Y"; "desde"/"hasta" give one-sided ranges. Amounts may use
+ * "mil", "k" or "millones". Only period words next to the amounts count
+ * ("2 años de experiencia" is not a yearly salary); without one,
+ * Computrabajo's default of a monthly salary is assumed. "A convenir"-style text returns
+ * { salary_undisclosed: true }; text without any amount returns null.
+ */
+export const parseSalaryText = (text, defaultCurrency = null) => {
+    const t = fold(text);
+    if (!t) return null;
+    if (UNDISCLOSED_RE.test(t) && !/\d/.test(t)) return { salary_undisclosed: true };
+
+    const amounts = [];
+    const numRe = /(\d[\d.,]*(?:\s\d{3}(?![\d]))*)\s*(millones|millon|mil|k)?\b/g;
+    let m;
+    while ((m = numRe.exec(t)) && amounts.length < 2) {
+        const n = parseSpanishNumber(m[1]);
+        if (n == null) continue;
+        // A second number is the other end of a range only when a connector joins them
+        if (amounts.length && !RANGE_JOIN_RE.test(t.slice(amounts[0].end, m.index).replace(CURRENCY_MARK_RE, '').trim())) break;
+        const scale = m[2] === 'mil' || m[2] === 'k' ? 1000 : (m[2] ? 1e6 : 1);
+        amounts.push({ n, scale, index: m.index, end: m.index + m[0].length });
+    }
+    // "de 8 a 10 mil": the unit written after the range applies to both ends
+    if (amounts.length === 2 && amounts[0].scale === 1 && amounts[1].scale > 1 && amounts[0].n < 1000) {
+        amounts[0].scale = amounts[1].scale;
+    }
+    for (const a of amounts) a.n *= a.scale;
+    if (!amounts.length) return UNDISCLOSED_RE.test(t) ? { salary_undisclosed: true } : null;
+
+    const out = {};
+    let currency = defaultCurrency;
+    for (const [code, re] of CURRENCY_PATTERNS) {
+        if (re.test(t)) {
+            currency = code;
+            break;
+        }
+    }
+    if (currency) out.salary_currency = currency;
+    out.salary_period = detectSalaryPeriod(periodWindow(t, amounts[0].index, amounts[amounts.length - 1].end)) || 'MONTH';
+
+    if (amounts.length === 2) {
+        out.salary_min = Math.min(amounts[0].n, amounts[1].n);
+        out.salary_max = Math.max(amounts[0].n, amounts[1].n);
+    } else {
+        const before = t.slice(0, amounts[0].index);
+        if (/\b(hasta|maximo)\b/.test(before)) out.salary_max = amounts[0].n;
+        else if (/\b(desde|minimo|a partir de)\b/.test(before)) out.salary_min = amounts[0].n;
+        else out.salary_amount = amounts[0].n;
+    }
+
+    return addMonthlySalaryEstimate(out);
+};
@@ -0,0 +1,242 @@
+/**
+ * Declared output schema of the default dataset: runtime validation before
+ * Dataset.pushData, a quarantine dataset for records that fail it, and the
+ * JSON Schema published as the actor's dataset schema
+ */
+import { Dataset } from 'crawlee';
+
+import { APPLY_TYPES } from './apply.js';
+
+export const QUARANTINE_DATASET = 'quarantine';
+
+/**
+ * Field specs: { type, nullable = true, required = false, enum, format, maxLength,
+ * minimum, items, fields }. required means the key must be present (it may still
+ * be null when nullable); optional fields may be missing, but not mistyped.
+ */
+const text = (extra = {}) => ({ type: 'string', ...extra });
+const number = (extra = {}) => ({ type: 'number', minimum: 0, ...extra });
+
+const PLACE_FIELDS = {
+    city: text(),
+    state: text(),
+    state_code: text({ maxLength: 3 }),
+    country_code: text({ maxLength: 2 }),
+};
+
+const REQUIREMENTS_FIELDS = {
+    education_level: text({ enum: ['doctorate', 'master', 'bachelor', 'technical', 'high_school', 'secondary', 'primary'] }),
+    education_text: text(),
+    experience_required: { type: 'boolean' },
+    experience_min_years: number(),
+    experience_max_years: number(),
+    experience_text: text(),
+    age_min: { type: 'integer', minimum: 0 },
+    age_max: { type: 'integer', minimum: 0 },
+    languages: {
+        type: 'array',
+        nullable: false,
+        items: {
+            type: 'object',
+            fields: {
+                language: text({ required: true }),
+                name: text(),
+                level: text({ enum: ['native', 'advanced', 'intermediate', 'basic'] }),
+            },
+        },
+    },
+    skills: { type: 'array', nullable: false, items: text({ nullable: false }) },
+    travel_required: { type: 'boolean' },
+    relocation_required: { type: 'boolean' },
+};
+
+// Detail pages and listing cards share this shape; cards lack the detail-only fields
+export const JOB_RECORD_FIELDS = {
+    url: text({ required: true, nullable: false, format: 'url' }),
+    source: text({ required: true, nullable: false }),
+    country: text({ required: true, nullable: false, maxLength: 2 }),
+    site_domain: text({ required: true, nullable: false }),
+    job_id: text({ required: true, nullable: false }),
+    job_id_source: text({ required: true, nullable: false, enum: ['page', 'url', 'hash'] }),
+    title: text({ required: true, nullable: false, maxLength: 200 }),
+    company: text({ required: true }),
+    company_id: text(),
+    company_url: text({ format: 'url' }),
+    location: text({ required: true }),
+    ...PLACE_FIELDS,
+    all_locations: { type: 'array', nullable: false, items: { type: 'object', fields: PLACE_FIELDS } },
+    datePosted: text({ required: true, format: 'date' }), // UTC timestamp of date_posted
+    date_posted: text({ required: true, format: 'date' }),
+    date_posted_precision: text({ required: true, enum: ['exact', 'day', 'approximate'] }),
+    expires_at: text({ format: 'date' }),
+    description_html: text(),
+    description_text: text(),
+    description_markdown: text(),
+    description_sections: {
+        type: 'object',
+        fields: {
+            summary: text(),
+            responsibilities: text(),
+            requirements: text(),
+            benefits: text(),
+        },
+    },
+    employmentType: text({ maxLength: 100 }),
+    schedule: text({ enum: ['full_time', 'part_time', 'weekends', 'per_hour'] }),
+    schedule_text: text(),
+    contract_type: text({ enum: ['indefinido', 'practicas', 'por_obra', 'temporal'] }),
+    contract_type_text: text(),
+    work_modality: text({ enum: ['hybrid', 'remote', 'onsite'] }),
+    work_modality_text: text(),
+    requirements: { type: 'object', fields: REQUIREMENTS_FIELDS },
+    applicants_count: { type: 'integer', minimum: 0 },
+    vacancies: { type: 'integer', minimum: 0 },
+    apply_url: text(), // https: or, for email applications, mailto:
+    apply_type: text({ enum: APPLY_TYPES }),
+    contact_emails: { type: 'array', nullable: false, items: text({ nullable: false }) },
+    contact_phones: { type: 'array', nullable: false, items: text({ nullable: false }) },
+    salary_currency: text({ maxLength: 3 }),
+    salary_period: text({ enum: ['HOUR', 'DAY', 'WEEK', 'SEMIMONTH', 'MONTH', 'YEAR'] }),
+    salary_min: number(),
+    salary_max: number(),
+    salary_amount: number(),
+    salary_monthly_min: number(),
+    salary_monthly_max: number(),
+    salary_undisclosed: { type: 'boolean' },
+    salary_text: text(),
+    search_url: text({ format: 'url' }),
+    search_query: text(),
+    page: { type: 'integer', minimum: 1 },
+    rank: { type: 'integer', minimum: 1 },
+    is_featured: { type: 'boolean' },
+    listing_snippet: text({ maxLength: 300 }),
+    query_tag: text(),
+    is_new: { type: 'boolean' },
+};
+
+// Closed offers, from detail pages (crawler) or incremental mode (takeExpired)
+export const EXPIRED_RECORD_FIELDS = {
+    status: text({ required: true, nullable: false, enum: ['expired'] }),
+    job_id: text({ required: true }),
+    url: text({ required: true, format: 'url' }),
+    title: text({ required: true }),
+    company: text(),
+    first_seen: text({ format: 'date' }),
+    last_seen: text({ format: 'date' }),
+    expired_at: text({ required: true, nullable: false, format: 'date' }),
+};
+
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}(?:T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const isUrl = (value) => {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+};
+
+const describeValue = (value) => {
+    const json = JSON.stringify(value);
+    return json.length > 60 ? `${json.slice(0, 57)}...` : json;
+};
+
+const TYPE_CHECKS = {
+    string: (v) => typeof v === 'string',
+    number: (v) => typeof v === 'number' && Number.isFinite(v),
+    integer: (v) => Number.isInteger(v),
+    boolean: (v) => typeof v === 'boolean',
+    array: (v) => Array.isArray(v),
+    object: (v) => v !== null && typeof v === 'object' && !Array.isArray(v),
+};
+
+const checkValue = (path, value, spec, errors) => {
+    if (value === null) {
+        if (spec.nullable === false) errors.push(`${path}: must not be null`);
+        return;
+    }
+    if (!TYPE_CHECKS[spec.type](value)) {
+        errors.push(`${path}: expected ${spec.type}, got ${describeValue(value)}`);
+        return;
+    }
+    if (spec.enum && !spec.enum.includes(value)) errors.push(`${path}: ${describeValue(value)} is not one of ${spec.enum.join(', ')}`);
+    if (spec.maxLength && value.length > spec.maxLength) errors.push(`${path}: longer than ${spec.maxLength} characters`);
+    if (spec.minimum != null && value < spec.minimum) errors.push(`${path}: below ${spec.minimum}`);
+    if (spec.format === 'url' && !isUrl(value)) errors.push(`${path}: not an absolute URL`);
+    if (spec.format === 'date' && !(ISO_DATE_RE.test(value) && !Number.isNaN(Date.parse(value)))) {
+        errors.push(`${path}: expected an ISO 8601 date, got ${describeValue(value)}`);
+    }
+    if (spec.items) value.forEach((item, i) => checkValue(`${path}[${i}]`, item, spec.items, errors));
+    if (spec.fields) checkFields(`${path}.`, value, spec.fields, errors);
+};
+
+const checkFields = (prefix, record, fields, errors) => {
+    for (const [name, spec] of Object.entries(fields)) {
+        if (!(name in record) || record[name] === undefined) {
+            if (spec.required) errors.push(`${prefix}${name}: missing`);
+            continue;
+        }
+        checkValue(`${prefix}${name}`, record[name], spec, errors);
+    }
+    for (const name of Object.keys(record)) {
+        if (!(name in fields) && record[name] !== undefined) errors.push(`${prefix}${name}: unexpected field`);
+    }
+};
+
+/**
+ * Validation errors of one output record ("datePosted: expected an ISO 8601 date, got ...");
+ * an empty array means the record matches the declared schema.
+ */
+export const validateRecord = (record) => {
+    if (!TYPE_CHECKS.object(record)) return [`record: expected object, got ${describeValue(record)}`];
+    const errors = [];
+    checkFields('', record, record.status === 'expired' ? EXPIRED_RECORD_FIELDS : JOB_RECORD_FIELDS, errors);
+    return errors;
+};
+
+/**
+ * Pushes the valid records to the default dataset and the rest to the quarantine
+ * dataset with their validation_errors attached. Returns both lists.
+ */
+export const pushValidated = async (records) => {
+    const valid = [];
+    const quarantined = [];
+    for (const record of [].concat(records)) {
+        const errors = validateRecord(record);
+        if (errors.length) quarantined.push({ ...record, validation_errors: errors, quarantined_at: new Date().toISOString() });
+        else valid.push(record);
+    }
+    if (valid.length) await Dataset.pushData(valid);
+    if (quarantined.length) await (await Dataset.open(QUARANTINE_DATASET)).pushData(quarantined);
+    return { valid, quarantined };
+};
+
+// -------------------- Dataset schema (.actor/dataset_schema.json) --------------------
+
+const toJsonSchemaType = (spec) => {
+    const out = { type: spec.nullable === false ? spec.type : [spec.type, 'null'] };
+    if (spec.enum) out.enum = spec.nullable === false ? spec.enum : [...spec.enum, null];
+    if (spec.maxLength) out.maxLength = spec.maxLength;
+    if (spec.minimum != null) out.minimum = spec.minimum;
+    if (spec.format === 'url') out.format = 'uri';
+    if (spec.items) out.items = toJsonSchemaType(spec.items);
+    if (spec.fields) Object.assign(out, toJsonSchemaObject(spec.fields));
+    return out;
+};
+
+const toJsonSchemaObject = (fields) => ({
+    properties: Object.fromEntries(Object.entries(fields).map(([name, spec]) => [name, toJsonSchemaType(spec)])),
+    required: Object.keys(fields).filter((name) => fields[name].required),
+    additionalProperties: false,
+});
+
+/**
+ * JSON Schema of the default dataset: job records or expired-offer records
+ */
+export const toDatasetFields = () => ({
+    type: 'object',
+    oneOf: [
+        { title: 'Job', ...toJsonSchemaObject(JOB_RECORD_FIELDS) },
+        { title: 'Expired offer', ...toJsonSchemaObject(EXPIRED_RECORD_FIELDS) },
+    ],
+});
@@ -0,0 +1,181 @@
+/**
+ * Computrabajo country sites, search URL builder and start URL normalization
+ */
+import { normText } from './text.js';
+
+// -------------------- Country sites --------------------
+
+// Computrabajo runs one site per country on {code}.computrabajo.com;
+// timeZone is the IANA zone its relative dates ("hace 3 días") are counted in
+export const COUNTRY_SITES = {
+    mx: { name: 'México', locale: 'es-MX', currency: 'MXN', timeZone: 'America/Mexico_City' },
+    co: { name: 'Colombia', locale: 'es-CO', currency: 'COP', timeZone: 'America/Bogota' },
+    ar: { name: 'Argentina', locale: 'es-AR', currency: 'ARS', timeZone: 'America/Argentina/Buenos_Aires' },
+    pe: { name: 'Perú', locale: 'es-PE', currency: 'PEN', timeZone: 'America/Lima' },
+    cl: { name: 'Chile', locale: 'es-CL', currency: 'CLP', timeZone: 'America/Santiago' },
+    ec: { name: 'Ecuador', locale: 'es-EC', currency: 'USD', timeZone: 'America/Guayaquil' },
+    ve: { name: 'Venezuela', locale: 'es-VE', currency: 'VES', timeZone: 'America/Caracas' },
+    gt: { name: 'Guatemala', locale: 'es-GT', currency: 'GTQ', timeZone: 'America/Guatemala' },
+    cr: { name: 'Costa Rica', locale: 'es-CR', currency: 'CRC', timeZone: 'America/Costa_Rica' },
+    uy: { name: 'Uruguay', locale: 'es-UY', currency: 'UYU', timeZone: 'America/Montevideo' },
+    py: { name: 'Paraguay', locale: 'es-PY', currency: 'PYG', timeZone: 'America/Asuncion' },
+    bo: { name: 'Bolivia', locale: 'es-BO', currency: 'BOB', timeZone: 'America/La_Paz' },
+    sv: { name: 'El Salvador', locale: 'es-SV', currency: 'USD', timeZone: 'America/El_Salvador' },
+    hn: { name: 'Honduras', locale: 'es-HN', currency: 'HNL', timeZone: 'America/Tegucigalpa' },
+    ni: { name: 'Nicaragua', locale: 'es-NI', currency: 'NIO', timeZone: 'America/Managua' },
+    pa: { name: 'Panamá', locale: 'es-PA', currency: 'USD', timeZone: 'America/Panama' },
+    do: { name: 'República Dominicana', locale: 'es-DO', currency: 'DOP', timeZone: 'America/Santo_Domingo' },
+    pr: { name: 'Puerto Rico', locale: 'es-PR', currency: 'USD', timeZone: 'America/Puerto_Rico' },
+};
+
+// Country used when a URL does not point at a known Computrabajo site
+let defaultCountry = 'mx';
+
+export const setDefaultCountry = (country) => {
+    const code = String(country || 'mx').trim().toLowerCase();
+    if (!COUNTRY_SITES[code]) {
+        throw new Error(`Unsupported country "${country}". Use one of: ${Object.keys(COUNTRY_SITES).join(', ')}.`);
+    }
+    defaultCountry = code;
+    return code;
+};
+
+export const getCountrySite = (codeOrUrl) => {
+    let code = String(codeOrUrl || '').trim().toLowerCase();
+    if (/^https?:\/\//.test(code)) {
+        try {
+            code = new URL(code).hostname.match(/^(?:www\.)?([a-z]{2})\.computrabajo\.com$/)?.[1] || '';
+        } catch {
+            code = '';
+        }
+    }
+    if (!COUNTRY_SITES[code]) code = defaultCountry;
+    const domain = `${code}.computrabajo.com`;
+    return { code, domain, origin: `https://${domain}`, ...COUNTRY_SITES[code] };
+};
+
+// -------------------- Search URL builder --------------------
+
+// Computrabajo "pubdate" filter values (days since publication)
+const POSTED_DATE_PARAM = {
+    '24h': '1',
+    '7d': '7',
+    '30d': '30',
+};
+
+// Common spellings that differ from the slug Computrabajo Mexico uses for the state
+const MX_LOCATION_SLUG_ALIASES = {
+    'cdmx': 'distrito-federal',
+    'ciudad-de-mexico': 'distrito-federal',
+    'mexico-df': 'distrito-federal',
+    'df': 'distrito-federal',
+    'edo-mex': 'mexico',
+    'edo-de-mexico': 'mexico',
+    'estado-de-mexico': 'mexico',
+};
+
+// "Diseñador Gráfico / Web" -> "disenador-grafico-web"
+export const slugify = (s) => normText(s)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+/**
+ * Build a Computrabajo listing URL from the form fields:
+ * - keyword + location -> /trabajo-de-{keyword}-en-{location}
+ * - keyword only       -> /trabajo-de-{keyword}
+ * - location only      -> /empleos-en-{location}
+ * posted_date (24h / 7d / 30d) is mapped to the "pubdate" query parameter and
+ * country picks the {code}.computrabajo.com site (defaults to defaultCountry).
+ * Returns null when neither keyword nor location is usable.
+ */
+export const buildSearchUrl = ({ keyword, location, posted_date, country } = {}) => {
+    const site = getCountrySite(country);
+    const kw = slugify(keyword);
+    let loc = slugify(location);
+    if (site.code === 'mx') loc = MX_LOCATION_SLUG_ALIASES[loc] || loc;
+
+    let path;
+    if (kw && loc) path = `/trabajo-de-${kw}-en-${loc}`;
+    else if (kw) path = `/trabajo-de-${kw}`;
+    else if (loc) path = `/empleos-en-${loc}`;
+    else return null;
+
+    const u = new URL(path, site.origin);
+    const pubdate = POSTED_DATE_PARAM[posted_date];
+    if (pubdate) u.searchParams.set('pubdate', pubdate);
+    return u.toString();
+};
+
+/**
+ * Keyword of a listing URL, roughly the inverse of buildSearchUrl:
+ * "/trabajo-de-asesor-de-ventas-en-jalisco" -> "asesor de ventas" (accents are
+ * lost in the slug), or the "q" query parameter. null for location-only or
+ * non-search URLs.
+ */
+export const parseSearchQuery = (url) => {
+    let u;
+    try {
+        u = new URL(url);
+    } catch {
+        return null;
+    }
+    const q = normText(u.searchParams.get('q'));
+    if (q) return q;
+    const slug = u.pathname.match(/^\/trabajo-de-([a-z0-9-]+?)(?:-en-[a-z0-9-]+)?\/?$/i)?.[1];
+    return slug ? slug.replace(/-/g, ' ') : null;
+};
+
+// -------------------- Start URL normalization --------------------
+
+/**
+ * Accept a wide variety of inputs:
+ * - { startUrls: [{ url }, ...] }
+ * - { startUrls: ["https://...", ...] }
+ * - { startUrl: "https://..." }
+ * - { urls: ["https://...", ...] } or { urls: "https://...\nhttps://..." }
+ * - { requests: [{ url }, ...] } or { requests: ["https://...", ...] }
+ * - { keyword, location, posted_date } when no URL is given (see buildSearchUrl)
+ */
+export const normalizeStartRequests = (input) => {
+    const out = [];
+
+    const pushUrl = (u) => {
+        const url = String(u || '').trim();
+        if (!url) return;
+        try {
+            const _ = new URL(url);
+            out.push({ url });
+        } catch { /* ignore invalid */ }
+    };
+
+    const pushMaybeArray = (val) => {
+        if (!val) return;
+        if (Array.isArray(val)) {
+            for (const item of val) {
+                if (typeof item === 'string') pushUrl(item);
+                else if (item && typeof item === 'object' && item.url) pushUrl(item.url);
+            }
+        } else if (typeof val === 'string') {
+            val.split(/\r?\n|,/).forEach(pushUrl);
+        } else if (val && typeof val === 'object' && val.url) {
+            pushUrl(val.url);
+        }
+    };
+
+    pushMaybeArray(input.startUrls);
+    pushMaybeArray(input.startUrl);
+    pushMaybeArray(input.urls);
+    pushMaybeArray(input.requests);
+    pushMaybeArray(input.sources);
+
+    // Fall back to the search form fields; the typed keyword beats the one parsed back from the slug
+    if (!out.length) {
+        const url = buildSearchUrl(input);
+        if (url) out.push({ url, searchQuery: normText(input.keyword) || null });
+    }
+
+    return out;
+};
@@ -0,0 +1,70 @@
+/**
+ * Text and HTML sanitizing helpers shared by the extractors
+ */
+import { load as cheerioLoad } from 'cheerio';
+
+// -------------------- Helpers: text utils --------------------
+
+export const normText = (s) => (s || '').replace(/\u00A0/g, ' ').replace(/\s+/g, ' ').trim();
+
+// Normalized text cut to max characters, ending in "…" when clipped; null when blank
+export const clipText = (s, max) => {
+    const t = normText(s == null ? '' : String(s));
+    if (!t) return null;
+    return t.length > max ? `${t.slice(0, max - 1).trimEnd()}…` : t;
+};
+
+export const pickFirstNonEmpty = (...vals) => {
+    for (const v of vals) {
+        if (v == null) continue;
+        const t = typeof v === 'string' ? v : String(v);
+        const n = normText(t);
+        if (n) return n;
+    }
+    return null;
+};
+
+export const cleanHtmlToText = (html) => {
+    if (!html) return null;
+    const $ = cheerioLoad(html);
+    $('script, style, noscript, iframe, form, button, svg').remove();
+    // Keep block boundaries as word breaks ("<li>a</li><li>b</li>" -> "a b")
+    $('p, li, br, h1, h2, h3, h4, h5, h6, div, tr').after(' ');
+    return normText($.root().text());
+};
+
+export const stripAttrsKeepTags = (
+    html,
+    allowedTags = ['p', 'br', 'ul', 'ol', 'li', 'strong', 'em', 'b', 'i', 'a', 'h3', 'h4'],
+) => {
+    if (!html) return '';
+    const $ = cheerioLoad(html, { decodeEntities: true });
+
+    // Remove non-content & hidden elements
+    $('script, style, noscript, iframe, form, button, svg, input, textarea, select').remove();
+    $('[data-complaint-overlay], #complaint-popup-container, .popup, [aria-hidden="true"]').remove();
+    $('[style*="display:none"], [hidden]').remove();
+
+    // Keep only allowed tags; drop attributes except href on <a>
+    // (scoped to body: unwrapping <html>/<body> themselves would empty the document)
+    $('body *').each((_, el) => {
+        const name = el.name || '';
+        if (!allowedTags.includes(name)) {
+            $(el).replaceWith($(el).contents());
+            return;
+        }
+        const attribs = el.attribs || {};
+        for (const attr of Object.keys(attribs)) {
+            if (name === 'a' && attr === 'href') continue;
+            $(el).removeAttr(attr);
+        }
+    });
+
+    // Normalize whitespace (collapse only: trimming would glue words to inline tags)
+    $('body').find('*').addBack().contents().each((_, node) => {
+        if (node.type === 'text' && node.data) node.data = node.data.replace(/\u00A0/g, ' ').replace(/\s+/g, ' ');
+    });
+
+    const out = $('body').html() || '';
+    return out.replace(/\s+\n/g, '\n').trim();
+};
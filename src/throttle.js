@@ -0,0 +1,150 @@
+/**
+ * Adaptive request pacing per domain / proxy group: delays widen and
+ * concurrency drops when rate-limit or block outcomes come in, and both
+ * recover gradually while responses stay healthy
+ */
+import { PAGE_OUTCOMES } from './blocking.js';
+
+const BAD_OUTCOMES = {
+    [PAGE_OUTCOMES.RATE_LIMITED]: 2,
+    [PAGE_OUTCOMES.CAPTCHA]: 1.5,
+    [PAGE_OUTCOMES.SOFT_BLOCK]: 1.5,
+};
+const HEALTHY_STREAK_FOR_DELAY = 5; // healthy responses per delay step down
+const HEALTHY_STREAK_FOR_CONCURRENCY = 20; // healthy responses per extra concurrent request
+const CONCURRENCY_COOLDOWN_MS = 10000; // one concurrency cut per burst of errors
+const MIN_BACKOFF_DELAY_MS = 1000; // widened delays start from at least this, even with requestDelayMs 0
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// "Retry-After: 30" or an HTTP date -> milliseconds from now
+export const parseRetryAfterMs = (value, now = Date.now()) => {
+    if (value == null || value === '') return null;
+    const secs = Number(value);
+    if (Number.isFinite(secs)) return secs >= 0 ? secs * 1000 : null;
+    const at = Date.parse(value);
+    return Number.isNaN(at) ? null : Math.max(0, at - now);
+};
+
+// Throttle bucket of a request: its host, split by proxy group when one is used
+export const throttleKey = (url, proxyInfo) => {
+    let host;
+    try {
+        host = new URL(url).hostname;
+    } catch {
+        host = 'unknown';
+    }
+    const groups = proxyInfo?.groups?.length ? proxyInfo.groups.join('+') : null;
+    return groups ? `${host} via ${groups}` : host;
+};
+
+/**
+ * baseDelayMs is the requestDelayMs input: every request waits it (±jitter)
+ * before navigation. Bad outcomes multiply a bucket's delay (x2 for rate
+ * limits, x1.5 for blocks, capped at maxDelayMs) and halve the crawl
+ * concurrency; healthy streaks walk both back. Retry-After pauses the bucket.
+ * wait() never sleeps longer than maxWaitMs in total (pause and delay), so the
+ * caller can budget it into its request timeout; Retry-After is capped to it.
+ * setConcurrency receives every concurrency change (wired to the autoscaled pool).
+ */
+export const createAdaptiveThrottle = ({
+    baseDelayMs = 2000,
+    jitter = 0.5,
+    maxDelayMs = 30000,
+    maxWaitMs = 60000,
+    maxConcurrency = 3,
+    setConcurrency = () => {},
+    log = null,
+    logIntervalSecs = 60,
+} = {}) => {
+    const buckets = new Map();
+    let concurrency = maxConcurrency;
+    let healthyStreak = 0;
+    let lastCutAt = 0;
+    let logTimer = null;
+
+    const bucket = (key) => {
+        if (!buckets.has(key)) buckets.set(key, { factor: 1, healthy: 0, pausedUntil: 0, responses: 0, bad: 0 });
+        return buckets.get(key);
+    };
+
+    const changeConcurrency = (value) => {
+        const next = Math.max(1, Math.min(maxConcurrency, value));
+        if (next === concurrency) return;
+        concurrency = next;
+        setConcurrency(next);
+    };
+
+    // Bad outcomes widen the delay from a floor, so they slow down even an unpaced crawl
+    const backoffBaseMs = Math.max(baseDelayMs, MIN_BACKOFF_DELAY_MS);
+    const delayFor = (key) => {
+        const { factor } = bucket(key);
+        return factor > 1 ? Math.min(maxDelayMs, Math.round(backoffBaseMs * factor)) : baseDelayMs;
+    };
+
+    const describe = () => {
+        const parts = [...buckets].map(([key, b]) => {
+            const pause = Math.max(0, b.pausedUntil - Date.now());
+            return `${key}: delay ${delayFor(key)}ms (x${b.factor.toFixed(2)}), ${b.bad}/${b.responses} bad${pause ? `, paused ${Math.ceil(pause / 1000)}s` : ''}`;
+        });
+        return `concurrency ${concurrency}/${maxConcurrency}; ${parts.join('; ') || 'no requests yet'}`;
+    };
+
+    const startLogging = () => {
+        if (logTimer || !log || !logIntervalSecs) return;
+        logTimer = setInterval(() => log.info(`⏱️ Throttle: ${describe()}`), logIntervalSecs * 1000);
+        logTimer.unref();
+    };
+
+    return {
+        get concurrency() {
+            return concurrency;
+        },
+
+        delayFor,
+
+        pauseRemainingMs: (key) => Math.max(0, bucket(key).pausedUntil - Date.now()),
+
+        describe,
+
+        // Called before each navigation
+        async wait(key) {
+            startLogging();
+            const b = bucket(key);
+            const pause = Math.max(0, b.pausedUntil - Date.now());
+            const delay = delayFor(key) * (1 - jitter + Math.random() * 2 * jitter);
+            const total = Math.min(maxWaitMs, pause + delay);
+            if (total > 0) await sleep(total);
+        },
+
+        // Called with the detectPageOutcome result of each response
+        record(key, outcome, { retryAfter } = {}) {
+            const b = bucket(key);
+            b.responses++;
+            const retryAfterMs = parseRetryAfterMs(retryAfter);
+            if (retryAfterMs) b.pausedUntil = Math.max(b.pausedUntil, Date.now() + Math.min(retryAfterMs, maxWaitMs));
+
+            const growth = BAD_OUTCOMES[outcome];
+            if (growth) {
+                b.bad++;
+                b.healthy = 0;
+                healthyStreak = 0;
+                b.factor = Math.min(maxDelayMs / backoffBaseMs, b.factor * growth);
+                if (Date.now() - lastCutAt >= CONCURRENCY_COOLDOWN_MS) {
+                    lastCutAt = Date.now();
+                    changeConcurrency(Math.ceil(concurrency / 2));
+                }
+                log?.info(`⏱️ Throttle after ${outcome}: ${describe()}`);
+                return;
+            }
+
+            if (++b.healthy % HEALTHY_STREAK_FOR_DELAY === 0) b.factor = Math.max(1, b.factor * 0.8);
+            if (++healthyStreak % HEALTHY_STREAK_FOR_CONCURRENCY === 0) changeConcurrency(concurrency + 1);
+        },
+
+        stop() {
+            if (logTimer) clearInterval(logTimer);
+            logTimer = null;
+        },
+    };
+};
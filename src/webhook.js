@@ -0,0 +1,175 @@
+/**
+ * Batched webhook delivery: records are POSTed to an HTTP endpoint as they
+ * are saved, in JSON or NDJSON batches, with retries and a dead-letter dataset
+ */
+import { createHmac } from 'node:crypto';
+import { Dataset, log } from 'crawlee';
+
+export const DEAD_LETTER_DATASET = 'webhook-dead-letter';
+export const SIGNATURE_HEADER = 'x-signature-256';
+
+const FORMATS = {
+    json: { contentType: 'application/json', encode: (records) => JSON.stringify(records) },
+    ndjson: { contentType: 'application/x-ndjson', encode: (records) => `${records.map((r) => JSON.stringify(r)).join('\n')}\n` },
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// "sha256=<hex>" of the exact request body, GitHub style
+export const signBody = (body, secret) => `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`;
+
+/**
+ * Validate the webhook* inputs. Returns null when no webhookUrl is set;
+ * throws with a readable message on bad input so the run fails before crawling.
+ * webhookHeaders may be an object or a JSON string of one.
+ */
+export const parseWebhookOptions = ({
+    webhookUrl,
+    webhookFormat = 'json',
+    webhookHeaders,
+    webhookSecret,
+    webhookBatchSize = 50,
+    webhookFlushIntervalSecs = 10,
+    webhookMaxRetries = 3,
+} = {}) => {
+    const url = String(webhookUrl || '').trim();
+    if (!url) return null;
+    try {
+        const u = new URL(url);
+        if (!/^https?:$/.test(u.protocol)) throw new Error('only http(s) URLs are supported');
+    } catch (err) {
+        throw new Error(`Invalid "webhookUrl" input "${url}": ${err.message}`);
+    }
+
+    const format = String(webhookFormat || 'json').toLowerCase();
+    if (!FORMATS[format]) throw new Error(`Invalid "webhookFormat" input "${webhookFormat}". Use one of: ${Object.keys(FORMATS).join(', ')}`);
+
+    let headers = webhookHeaders || {};
+    if (typeof headers === 'string') {
+        try {
+            headers = headers.trim() ? JSON.parse(headers) : {};
+        } catch (err) {
+            throw new Error(`Invalid "webhookHeaders" input: malformed JSON (${err.message})`);
+        }
+    }
+    if (!headers || typeof headers !== 'object' || Array.isArray(headers)) {
+        throw new Error('Invalid "webhookHeaders" input: expected an object of header names to values');
+    }
+
+    return {
+        url,
+        format,
+        headers: Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), String(v)])),
+        secret: webhookSecret ? String(webhookSecret) : null,
+        batchSize: Math.max(1, Math.floor(Number(webhookBatchSize) || 50)),
+        flushIntervalSecs: Math.max(0, Number(webhookFlushIntervalSecs) || 0),
+        maxRetries: Math.max(0, Math.floor(Number(webhookMaxRetries) || 0)),
+    };
+};
+
+/**
+ * Delivery queue for one run. push() buffers records and queues a batch every
+ * batchSize records without waiting for it to go out, so a slow endpoint never
+ * holds up the crawl; a timer flushes partial batches every flushIntervalSecs.
+ * Each attempt is aborted after timeoutSecs. Failed sends are retried with
+ * exponential backoff (network errors, timeouts, 408, 429 and 5xx only);
+ * batches that still fail land in the dead-letter dataset. flush() and close()
+ * wait for every queued batch; call close() at the end of the run.
+ */
+export const createWebhookDelivery = ({
+    url,
+    format = 'json',
+    headers = {},
+    secret = null,
+    batchSize = 50,
+    flushIntervalSecs = 10,
+    maxRetries = 3,
+    retryBaseMs = 1000,
+    timeoutSecs = 30,
+    deadLetterDataset = DEAD_LETTER_DATASET,
+}) => {
+    const { contentType, encode } = FORMATS[format];
+    const stats = { batchesSent: 0, recordsSent: 0, retries: 0, batchesDeadLettered: 0, recordsDeadLettered: 0 };
+    let buffer = [];
+    let batchNo = 0;
+    let sending = Promise.resolve(); // batches go out one at a time, in order
+
+    const send = async (records) => {
+        const body = encode(records);
+        const batchId = ++batchNo;
+        const requestHeaders = {
+            ...headers,
+            'content-type': contentType,
+            'x-batch-id': String(batchId),
+            'x-batch-size': String(records.length),
+        };
+        if (secret) requestHeaders[SIGNATURE_HEADER] = signBody(body, secret);
+
+        let lastError;
+        for (let attempt = 0; attempt <= maxRetries; attempt++) {
+            if (attempt) {
+                stats.retries++;
+                await sleep(retryBaseMs * 2 ** (attempt - 1));
+            }
+            try {
+                const res = await fetch(url, {
+                    method: 'POST',
+                    headers: requestHeaders,
+                    body,
+                    signal: AbortSignal.timeout(timeoutSecs * 1000),
+                });
+                if (res.ok) {
+                    stats.batchesSent++;
+                    stats.recordsSent += records.length;
+                    return;
+                }
+                lastError = new Error(`HTTP ${res.status}`);
+                if (!(res.status === 408 || res.status === 429 || res.status >= 500)) break;
+            } catch (err) {
+                lastError = err;
+            }
+            log.warning(`📮 Webhook batch #${batchId} failed (attempt ${attempt + 1}/${maxRetries + 1}): ${lastError.message}`);
+        }
+
+        stats.batchesDeadLettered++;
+        stats.recordsDeadLettered += records.length;
+        log.error(`📮 Webhook batch #${batchId} (${records.length} record(s)) moved to the "${deadLetterDataset}" dataset: ${lastError.message}`);
+        await (await Dataset.open(deadLetterDataset)).pushData({
+            batch_id: batchId,
+            url,
+            error: lastError.message,
+            failed_at: new Date().toISOString(),
+            records,
+        });
+    };
+
+    const enqueue = (batch) => {
+        sending = sending.then(() => send(batch)).catch((err) => {
+            log.error(`📮 Webhook batch lost: ${err.message}`);
+        });
+    };
+
+    const flush = () => {
+        if (buffer.length) enqueue(buffer.splice(0));
+        return sending;
+    };
+
+    const timer = flushIntervalSecs > 0 ? setInterval(flush, flushIntervalSecs * 1000) : null;
+    timer?.unref();
+
+    return {
+        stats,
+
+        push(records) {
+            buffer.push(...(Array.isArray(records) ? records : [records]));
+            while (buffer.length >= batchSize) enqueue(buffer.splice(0, batchSize));
+        },
+
+        flush,
+
+        async close() {
+            if (timer) clearInterval(timer);
+            await flush();
+        },
+    };
+};
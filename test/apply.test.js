@@ -0,0 +1,99 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { load as cheerioLoad } from 'cheerio';
+
+import { extractApplication, extractContacts } from '../src/apply.js';
+import { loadFixture } from './helpers/fixtures.js';
+
+const OFFER_URL = 'https://mx.computrabajo.com/ofertas-de-trabajo/oferta-de-trabajo-de-x-0C1D2E3F4A5B6C7D';
+
+const extract = (header, options) => extractApplication(cheerioLoad(`<html><body><div class="box_header">${header}</div></body></html>`), OFFER_URL, options).application;
+
+describe('extractApplication', () => {
+    it('reads applicants, vacancies and an internal apply button', () => {
+        const { application, source } = extractApplication(loadFixture('detail-jsonld.html'), OFFER_URL);
+        assert.deepEqual(application, { applicants_count: 23, vacancies: 2, apply_url: OFFER_URL, apply_type: 'internal' });
+        assert.equal(source, 'apply button');
+    });
+
+    it('reads "Más de N inscritos", labeled vacancies and an external apply link', () => {
+        const { application } = extractApplication(loadFixture('detail-no-jsonld.html'), OFFER_URL);
+        assert.equal(application.applicants_count, 100);
+        assert.equal(application.vacancies, 3);
+        assert.equal(application.apply_url, 'https://empleos.despachogarza.mx/vacantes/auxiliar-contable');
+        assert.equal(application.apply_type, 'external');
+        assert.ok(!('contact_emails' in application));
+    });
+
+    it('leaves zero vacancies null', () => {
+        assert.equal(extract('<p>0 vacantes</p>').vacancies, null);
+        assert.equal(extract('<p>Vacantes: 1</p>').vacancies, 1);
+    });
+
+    it('handles thousands separators and labeled applicant counts', () => {
+        assert.equal(extract('<p>1.250 inscritos</p>').applicants_count, 1250);
+        assert.equal(extract('<li><span>Postulados</span>: 45</li>').applicants_count, 45);
+    });
+
+    it('ignores counts outside the offer header and attribute list', () => {
+        const $ = cheerioLoad(`<html><body>
+            <div class="box_header"><h1>Cajero</h1><p>12 inscritos</p></div>
+            <ul class="box_attributes"><li><span>Vacantes</span>: 2</li></ul>
+            <div class="box_related"><p>Más de 100 inscritos · 0 vacantes</p></div>
+        </body></html>`);
+        assert.deepEqual(extractApplication($, OFFER_URL).application, { applicants_count: 12, vacancies: 2, apply_url: null, apply_type: null });
+    });
+
+    it('skips apply links that do not parse', () => {
+        assert.deepEqual(extract('<a class="js-apply" href="http://[">Postularme</a>'), {
+            applicants_count: null, vacancies: null, apply_url: OFFER_URL, apply_type: 'internal',
+        });
+        const descriptionHtml = '<p><a href="http://[">Aplicar aquí</a> o envía tu CV a rh@acme.mx</p>';
+        assert.equal(extract('', { descriptionHtml }).apply_type, 'email');
+    });
+
+    it('treats a button without a link as internal to the offer', () => {
+        assert.deepEqual(extract('<button class="js-apply">Postularme</button>'), {
+            applicants_count: null, vacancies: null, apply_url: OFFER_URL, apply_type: 'internal',
+        });
+    });
+
+    it('falls back to an apply link or CV email in the description', () => {
+        const descriptionHtml = '<p>Aplica en <a href="https://jobs.acme.mx/1">Aplicar aquí</a></p>';
+        assert.deepEqual(extract('', { descriptionHtml }), {
+            applicants_count: null, vacancies: null, apply_url: 'https://jobs.acme.mx/1', apply_type: 'external',
+        });
+
+        const descriptionText = 'Interesados enviar CV al correo RH@Acme.mx con el puesto en el asunto.';
+        assert.equal(extract('', { descriptionText }).apply_type, 'email');
+        assert.equal(extract('', { descriptionText }).apply_url, null);
+        assert.equal(extract('', { descriptionText, includeContacts: true }).apply_url, 'mailto:rh@acme.mx');
+    });
+
+    it('returns nulls when the page has no application signals', () => {
+        assert.deepEqual(extract('<p>Sin datos</p>'), { applicants_count: null, vacancies: null, apply_url: null, apply_type: null });
+    });
+
+    it('adds description contacts only when asked to', () => {
+        const descriptionText = 'Envía tu CV a rh@despachogarza.mx o llama al (81) 8123-4567.';
+        const application = extract('', { descriptionText, includeContacts: true });
+        assert.deepEqual(application.contact_emails, ['rh@despachogarza.mx']);
+        assert.deepEqual(application.contact_phones, ['8181234567']);
+        assert.equal(application.apply_type, 'email');
+    });
+});
+
+describe('extractContacts', () => {
+    it('deduplicates emails and normalizes phones', () => {
+        const text = 'Escribe a Ventas@Acme.com.mx. o ventas@acme.com.mx; WhatsApp +52 55 1234 5678, oficina 33.1234.5678';
+        assert.deepEqual(extractContacts(text), {
+            contact_emails: ['ventas@acme.com.mx'],
+            contact_phones: ['+525512345678', '3312345678'],
+        });
+    });
+
+    it('ignores salaries, short numbers and empty input', () => {
+        assert.deepEqual(extractContacts('Sueldo $12,000 - $15,000, ext. 1234, CP 44100'), { contact_emails: [], contact_phones: [] });
+        assert.deepEqual(extractContacts(null), { contact_emails: [], contact_phones: [] });
+    });
+});
@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { load } from 'cheerio';
+
+import { detectPageOutcome, detectFeedOutcome } from '../src/blocking.js';
+import { loadFixture } from './helpers/fixtures.js';
+
+const ORIGIN = 'https://mx.computrabajo.com';
+const DETAIL_URL = `${ORIGIN}/ofertas-de-trabajo/oferta-de-trabajo-de-asesor-de-ventas-en-zapopan-5A1B2C3D4E5F60718293A4B5C6D7E8F9`;
+const LIST_URL = `${ORIGIN}/trabajo-de-asesor-de-ventas`;
+
+const detect = (fixture, options = {}) => detectPageOutcome({
+    $: typeof fixture === 'string' && fixture.endsWith('.html') ? loadFixture(fixture) : load(fixture),
+    url: DETAIL_URL,
+    pageType: 'DETAIL',
+    ...options,
+}).outcome;
+
+describe('detectPageOutcome', () => {
+    it('passes normal pages whose header offers login and sign-up', () => {
+        assert.equal(detect('detail-jsonld.html'), 'ok');
+        assert.equal(detect('detail-no-jsonld.html'), 'ok');
+        assert.equal(detect('listing.html', { url: LIST_URL, pageType: 'LIST' }), 'ok');
+        assert.equal(detect('company.html', { url: `${ORIGIN}/empresas/x`, pageType: 'COMPANY' }), 'ok');
+    });
+
+    it('flags the login wall as a soft block', () => {
+        const result = detectPageOutcome({ $: loadFixture('login-wall.html'), url: DETAIL_URL, pageType: 'DETAIL' });
+        assert.equal(result.outcome, 'soft_block');
+        assert.ok(result.signals.includes('password_form'));
+        assert.equal(detect('detail-jsonld.html', { loadedUrl: `${ORIGIN}/candidato/login?returnUrl=x` }), 'soft_block');
+    });
+
+    it('recognizes challenges, rate limits and empty bodies', () => {
+        assert.equal(detect('cloudflare-challenge.html', { statusCode: 403 }), 'captcha');
+        assert.equal(detect('cloudflare-challenge.html', { statusCode: 503, url: LIST_URL, pageType: 'LIST' }), 'captcha');
+        assert.equal(detect('<html><body>Too Many Requests</body></html>', { statusCode: 429 }), 'rate_limited');
+        assert.equal(detect('<html><body></body></html>'), 'soft_block');
+        assert.equal(detect('detail-jsonld.html', { statusCode: 403 }), 'soft_block');
+    });
+
+    it('tells missing pages from closed offers', () => {
+        assert.equal(detect('<html><body><h1>Página no encontrada</h1></body></html>', { statusCode: 404 }), 'not_found');
+        assert.equal(detect('detail-expired.html'), 'expired_offer');
+        assert.equal(detect('detail-expired.html', { statusCode: 410 }), 'expired_offer');
+        assert.equal(detect('listing.html', { loadedUrl: LIST_URL }), 'expired_offer');
+    });
+
+    it('accepts listings without results', () => {
+        const $ = '<html><body><main><h1>Empleos de Astronauta</h1><p>No se encontraron ofertas para tu búsqueda. Prueba con otras palabras clave o ubicaciones.</p></main></body></html>';
+        assert.equal(detect($, { url: LIST_URL, pageType: 'LIST' }), 'ok');
+    });
+});
+
+describe('detectFeedOutcome', () => {
+    it('goes by status code and format', () => {
+        assert.deepEqual(detectFeedOutcome({ text: '<urlset></urlset>' }), { outcome: 'ok', signals: [] });
+        assert.equal(detectFeedOutcome({ statusCode: 429 }).outcome, 'rate_limited');
+        assert.equal(detectFeedOutcome({ statusCode: 404 }).outcome, 'not_found');
+        assert.equal(detectFeedOutcome({ statusCode: 403 }).outcome, 'soft_block');
+        assert.deepEqual(detectFeedOutcome({ text: '<html><body>Hola</body></html>', wellFormed: false }), { outcome: 'soft_block', signals: ['malformed_feed'] });
+    });
+
+    it('spots challenge pages served instead of a sitemap', () => {
+        const text = loadFixture('cloudflare-challenge.html').html();
+        assert.equal(detectFeedOutcome({ statusCode: 503, text, wellFormed: false }).outcome, 'captcha');
+    });
+});
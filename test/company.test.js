@@ -0,0 +1,49 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { load } from 'cheerio';
+
+import { extractCompanyProfile } from '../src/company.js';
+import { parseCompanyUrl, pickCompanyLink } from '../src/ids.js';
+import { FIXED_NOW, loadFixture, assertGolden } from './helpers/fixtures.js';
+
+const COMPANY_URL = 'https://mx.computrabajo.com/empresas/grupo-automotriz-del-bajio-0F1E2D3C4B5A6978';
+
+describe('extractCompanyProfile', () => {
+    beforeEach(() => mock.timers.enable({ apis: ['Date'], now: FIXED_NOW }));
+    afterEach(() => mock.timers.reset());
+
+    it('parses the profile page', () => {
+        assertGolden('company.expected.json', extractCompanyProfile(loadFixture('company.html'), COMPANY_URL));
+    });
+
+    it('falls back to the page when there is no JSON-LD', () => {
+        const $ = loadFixture('company.html');
+        $('script[type="application/ld+json"]').remove();
+        const company = extractCompanyProfile($, COMPANY_URL);
+        assert.equal(company.name, 'Grupo Automotriz del Bajío');
+        assert.equal(company.rating, 4.2);
+        assert.equal(company.review_count, 1284);
+        assert.equal(company.headquarters, 'León, Guanajuato');
+    });
+});
+
+describe('company links', () => {
+    it('keys companies by profile slug', () => {
+        assert.deepEqual(parseCompanyUrl('/empresas/Grupo-Automotriz-del-Bajio-0F1E2D3C4B5A6978/ofertas?p=2', COMPANY_URL), {
+            company_id: 'grupo-automotriz-del-bajio-0f1e2d3c4b5a6978',
+            company_url: 'https://mx.computrabajo.com/empresas/Grupo-Automotriz-del-Bajio-0F1E2D3C4B5A6978',
+        });
+        assert.equal(parseCompanyUrl('/trabajo-de-contador', COMPANY_URL), null);
+    });
+
+    it('keeps the raw slug when its percent-escapes are malformed', () => {
+        assert.deepEqual(parseCompanyUrl('/empresas/ACME%E0', COMPANY_URL), {
+            company_id: 'acme%e0',
+            company_url: 'https://mx.computrabajo.com/empresas/ACME%E0',
+        });
+    });
+
+    it('returns nulls without a profile link', () => {
+        assert.deepEqual(pickCompanyLink(load('<p>Empresa confidencial</p>').root(), COMPANY_URL), { company_id: null, company_url: null });
+    });
+});
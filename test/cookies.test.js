@@ -0,0 +1,45 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseCustomCookies, cookiesForSite } from '../src/cookies.js';
+import { getCountrySite } from '../src/sites.js';
+
+describe('parseCustomCookies', () => {
+    it('parses the raw header', () => {
+        assert.deepEqual(parseCustomCookies({ cookies: 'Cookie: consent=1; token=a=b' }), [
+            { name: 'consent', value: '1' },
+            { name: 'token', value: 'a=b' },
+        ]);
+    });
+
+    it('parses JSON arrays and maps', () => {
+        assert.deepEqual(parseCustomCookies({ cookiesJson: '{"consent":"1"}' }), [{ name: 'consent', value: '1' }]);
+        assert.deepEqual(
+            parseCustomCookies({ cookiesJson: '[{"name":"sid","value":"x","domain":".CO.computrabajo.com","path":"/","expirationDate":1900000000}]' }),
+            [{ name: 'sid', value: 'x', domain: '.co.computrabajo.com', path: '/', expires: 1900000000 }],
+        );
+    });
+
+    it('rejects malformed input with a clear error', () => {
+        assert.throws(() => parseCustomCookies({ cookiesJson: '{bad' }), /Invalid "cookiesJson" input: malformed JSON/);
+        assert.throws(() => parseCustomCookies({ cookiesJson: '[1]' }), /array items must be cookie objects/);
+        assert.throws(() => parseCustomCookies({ cookiesJson: '"x"' }), /expected an array of cookies or an object map/);
+        assert.throws(() => parseCustomCookies({ cookies: 'novalue' }), /Invalid "cookies" input/);
+    });
+
+    it('returns nothing when both inputs are empty', () => {
+        assert.deepEqual(parseCustomCookies({}), []);
+    });
+});
+
+describe('cookiesForSite', () => {
+    it('scopes domain cookies to matching country sites', () => {
+        const cookies = [
+            { name: 'all', value: '1' },
+            { name: 'shared', value: '2', domain: '.computrabajo.com' },
+            { name: 'co', value: '3', domain: 'co.computrabajo.com' },
+        ];
+        assert.deepEqual(cookiesForSite(cookies, getCountrySite('mx')).map((c) => c.name), ['all', 'shared']);
+        assert.deepEqual(cookiesForSite(cookies, getCountrySite('co')).map((c) => c.name), ['all', 'shared', 'co']);
+    });
+});
@@ -0,0 +1,343 @@
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { Configuration, Dataset, RequestQueue, log } from 'crawlee';
+
+import { createCrawler, toListRequest } from '../src/crawler.js';
+import { openSeenOffers } from '../src/incremental.js';
+import { parseFilterOptions } from '../src/filters.js';
+import { toDiscoveryRequests } from '../src/discovery.js';
+import { QUARANTINE_DATASET } from '../src/schema.js';
+import { startFixtureServer } from './helpers/server.js';
+import { fixturePath } from './helpers/fixtures.js';
+
+// Keep everything in memory and quiet; the crawl must not touch the network
+Configuration.getGlobalConfig().set('persistStorage', false);
+log.setLevel(log.LEVELS.OFF);
+
+const JSONLD_PATH = '/ofertas-de-trabajo/oferta-de-trabajo-de-asesor-de-ventas-en-zapopan-5A1B2C3D4E5F60718293A4B5C6D7E8F9';
+const NO_JSONLD_PATH = '/ofertas-de-trabajo/oferta-de-trabajo-de-auxiliar-contable-en-monterrey-0C1D2E3F4A5B6C7D8E9F0A1B2C3D4E5F';
+const EXPIRED_PATH = '/ofertas-de-trabajo/oferta-de-trabajo-de-chofer-repartidor-en-guadalajara-7E6D5C4B3A291807';
+const COMPANY_PATH = '/empresas/grupo-automotriz-del-bajio-0F1E2D3C4B5A6978';
+const LOGIN_WALL_PATH = '/ofertas-de-trabajo/oferta-de-trabajo-de-cajero-en-puebla-9F8E7D6C5B4A39281706F5E4D3C2B1A0';
+const RATE_LIMITED_PATH = '/trabajo-de-cajero';
+const QUARANTINED_PATH = '/ofertas-de-trabajo/oferta-de-trabajo-de-auxiliar-contable-en-monterrey-4B5C6D7E8F9A0B1C';
+
+const ROUTES = {
+    '/trabajo-de-asesor-de-ventas': 'listing.html',
+    '/trabajo-de-asesor-de-ventas?p=2': 'listing-page-2.html',
+    '/trabajo-de-recepcionista': 'listing-no-ids.html',
+    [JSONLD_PATH]: 'detail-jsonld.html',
+    [NO_JSONLD_PATH]: 'detail-no-jsonld.html',
+    [LOGIN_WALL_PATH]: 'login-wall.html',
+    [COMPANY_PATH]: 'company.html',
+    [EXPIRED_PATH]: 'detail-expired.html',
+    [RATE_LIMITED_PATH]: { status: 429, headers: { 'retry-after': '30' } },
+    [QUARANTINED_PATH]: 'detail-no-jsonld.html',
+    '/': 'home.html',
+    '/robots.txt': { file: 'robots.txt', headers: { 'content-type': 'text/plain; charset=utf-8' } },
+    '/sitemap-index.xml': { file: 'sitemap-index.xml', headers: { 'content-type': 'application/xml' } },
+    '/sitemaps/ofertas-1.xml.gz': { file: 'sitemap-offers.xml', gzip: true, headers: { 'content-type': 'application/x-gzip' } },
+    '/sitemaps/categorias.xml': { file: 'sitemap-categories.xml', headers: { 'content-type': 'application/xml' } },
+    '/sitemaps/ofertas-cortado.xml.gz': { file: 'sitemap-offers.xml', gzip: true, truncate: 60, headers: { 'content-type': 'application/x-gzip' } },
+};
+
+// Golden records minus the fields that depend on host and clock
+const golden = (name) => {
+    const { url, company_url, datePosted, date_posted, apply_url, ...rest } = JSON.parse(readFileSync(fixturePath(name), 'utf8'));
+    return rest;
+};
+// Search context is checked on its own
+const withoutVolatile = ({
+    url, company_url, datePosted, date_posted, apply_url,
+    search_url, search_query, page, rank, is_featured, listing_snippet,
+    ...rest
+}) => rest;
+
+let run = 0;
+const crawl = async (server, options, requests = [toListRequest({ url: `${server.origin}/trabajo-de-asesor-de-ventas` })]) => {
+    const requestQueue = await RequestQueue.open(`crawl-test-${++run}`);
+    for (const request of requests) await requestQueue.addRequest(request);
+    const { crawler, state, throttle } = createCrawler({ requestQueue, maxRequestRetries: 0, requestDelayMs: 0, ...options });
+    await crawler.run();
+    throttle.stop();
+    const { items } = await (await Dataset.open()).getData();
+    return { items, state, throttle };
+};
+
+describe('end-to-end crawl against the fixture server', () => {
+    let server;
+    before(async () => {
+        server = await startFixtureServer(ROUTES);
+    });
+    after(async () => {
+        await server.close();
+    });
+    afterEach(async () => {
+        server.hits.length = 0;
+        await (await Dataset.open()).drop();
+    });
+
+    it('saves detail pages and stops paginating when no new offers appear', async () => {
+        const { items, state } = await crawl(server, { maxResultsDesired: 10, maxPagesPerStart: 5 });
+
+        assert.equal(state.totalJobsSaved, 2);
+        const byTitle = Object.fromEntries(items.map((item) => [item.title, item]));
+        assert.deepEqual(withoutVolatile(byTitle['Asesor de ventas']), golden('detail-jsonld.expected.json'));
+        assert.deepEqual(withoutVolatile(byTitle['Auxiliar contable']), golden('detail-no-jsonld.expected.json'));
+        assert.equal(byTitle['Auxiliar contable'].url, `${server.origin}${NO_JSONLD_PATH}`);
+        assert.equal(byTitle['Asesor de ventas'].apply_url, `${server.origin}${JSONLD_PATH}`);
+
+        // Search context travels from the listing page to the detail record
+        const listingUrl = `${server.origin}/trabajo-de-asesor-de-ventas`;
+        assert.deepEqual(
+            [byTitle['Asesor de ventas'], byTitle['Auxiliar contable']].map((item) => [item.title, item.search_url, item.search_query, item.page, item.rank, item.is_featured]),
+            [
+                ['Asesor de ventas', listingUrl, 'asesor de ventas', 1, 1, true],
+                ['Auxiliar contable', listingUrl, 'asesor de ventas', 1, 2, false],
+            ],
+        );
+        assert.match(byTitle['Asesor de ventas'].listing_snippet, /^Asesor de ventas Destacada Grupo Automotriz/);
+
+        assert.equal(byTitle['Auxiliar contable'].job_id, '0C1D2E3F4A5B6C7D8E9F0A1B2C3D4E5F');
+
+        // Page 2 repeats page 1 (one offer under another slug), so page 3 is never requested
+        // and the variant is not fetched again; category links are not followed
+        assert.ok(!server.hits.some((hit) => hit.includes('-en-zapopan-jalisco-')));
+        assert.ok(server.hits.includes('/trabajo-de-asesor-de-ventas?p=2'));
+        assert.ok(!server.hits.includes('/trabajo-de-asesor-de-ventas?p=3'));
+        assert.ok(!server.hits.some((hit) => hit.startsWith('/trabajo-de-contador') || hit.startsWith('/empleos-en-')));
+        assert.ok(server.hits.includes(LOGIN_WALL_PATH));
+
+        // Quality data behind RUN_REPORT
+        const { records, fill_rates, strategies, top_failing_urls } = state.quality.summary();
+        assert.equal(records, 2);
+        assert.deepEqual(fill_rates.title, { filled: 2, rate: 1 });
+        assert.deepEqual(strategies.title, { 'json-ld': 1, 'css h1': 1 });
+        assert.deepEqual(top_failing_urls.map((f) => f.url), [`${server.origin}${LOGIN_WALL_PATH}`]);
+        assert.equal(state.sessionsRetired, 1);
+    });
+
+    it('saves listing cards without opening detail pages when collectDetails is off', async () => {
+        const { items } = await crawl(server, { collectDetails: false, maxResultsDesired: 10, maxPagesPerStart: 1 });
+
+        assert.deepEqual(items.map((item) => item.title), ['Asesor de ventas', 'Auxiliar contable', 'Cajero']);
+        assert.ok(!server.hits.some((hit) => hit.startsWith('/ofertas-de-trabajo/')));
+        assert.ok(!server.hits.includes('/trabajo-de-asesor-de-ventas?p=2'));
+    });
+
+    it('only fetches offers unseen in earlier runs in incremental mode', async () => {
+        const first = await openSeenOffers({ storeName: 'crawl-test-seen' });
+        const run1 = await crawl(server, { maxResultsDesired: 10, maxPagesPerStart: 1, seenOffers: first });
+        await first.save();
+        assert.equal(run1.items.length, 2);
+        assert.ok(run1.items.every((item) => item.is_new === true));
+
+        await (await Dataset.open()).drop();
+        server.hits.length = 0;
+
+        const second = await openSeenOffers({ storeName: 'crawl-test-seen' });
+        const run2 = await crawl(server, { maxResultsDesired: 10, maxPagesPerStart: 1, seenOffers: second });
+        assert.equal(run2.items.length, 0);
+        // Only the offer that failed last time (login wall) is requested again
+        assert.deepEqual(server.hits.filter((hit) => hit.startsWith('/ofertas-de-trabajo/')), [LOGIN_WALL_PATH]);
+    });
+
+    it('keys seen offers alike in listing and detail mode', async () => {
+        // The card's URL carries no offer ID, so its job_id is a hash; both modes key it by URL
+        const requests = () => [toListRequest({ url: `${server.origin}/trabajo-de-recepcionista` })];
+        const first = await openSeenOffers({ storeName: 'crawl-test-seen-modes' });
+        const run1 = await crawl(server, { collectDetails: false, maxResultsDesired: 10, seenOffers: first }, requests());
+        await first.save();
+        assert.equal(run1.items.length, 1);
+        assert.equal(run1.items[0].job_id_source, 'hash');
+
+        await (await Dataset.open()).drop();
+        server.hits.length = 0;
+
+        // Offers saved from listing cards are not fetched again once details are collected
+        const second = await openSeenOffers({ storeName: 'crawl-test-seen-modes' });
+        const run2 = await crawl(server, { maxResultsDesired: 10, seenOffers: second }, requests());
+        assert.equal(run2.items.length, 0);
+        assert.ok(!server.hits.some((hit) => hit.startsWith('/ofertas-de-trabajo/')));
+    });
+
+    it('does not count searches stopped by results_wanted or max_pages as failed', async () => {
+        const byPages = await crawl(server, { collectDetails: false, maxResultsDesired: 10, maxPagesPerStart: 1 });
+        assert.equal(byPages.state.searchesFailed, 0);
+
+        await (await Dataset.open()).drop();
+        const byResults = await crawl(server, { collectDetails: false, maxResultsDesired: 1, maxPagesPerStart: 5 });
+        assert.equal(byResults.state.searchesFailed, 0);
+    });
+
+    it('follows each company profile once into the companies dataset', async () => {
+        const { items, state } = await crawl(server, { collectDetails: false, collectCompanies: true, maxResultsDesired: 10, maxPagesPerStart: 2 });
+
+        assert.equal(items.length, 3);
+        const companies = await Dataset.open('companies');
+        const { items: profiles } = await companies.getData();
+        await companies.drop();
+        // Both listing pages link the same two companies; the second profile is not served
+        assert.equal(server.hits.filter((hit) => hit === COMPANY_PATH).length, 1);
+        assert.equal(state.companiesSaved, 1);
+        assert.deepEqual(profiles.map((p) => [p.company_id, p.name]), [['grupo-automotriz-del-bajio-0f1e2d3c4b5a6978', 'Grupo Automotriz del Bajío']]);
+    });
+
+    it('hands every saved record to the webhook delivery', async () => {
+        const delivered = [];
+        const delivery = { push: async (records) => { delivered.push(...[].concat(records)); } };
+        const { items } = await crawl(server, { collectDetails: false, maxResultsDesired: 10, maxPagesPerStart: 1, delivery });
+
+        assert.deepEqual(delivered.map((r) => r.job_id), items.map((r) => r.job_id));
+    });
+
+    it('does not count filtered jobs toward results_wanted', async () => {
+        const filters = parseFilterOptions({ titleExclude: ['asesor'] });
+        const { items, state } = await crawl(server, { collectDetails: false, maxResultsDesired: 2, maxPagesPerStart: 1, filters });
+
+        assert.deepEqual(items.map((item) => item.title), ['Auxiliar contable', 'Cajero']);
+        assert.equal(state.totalJobsSaved, 2);
+        assert.deepEqual(state.filterReasons, { title_excluded: 1 });
+    });
+
+    it('saves closed offers as expired and skips missing pages without retrying', async () => {
+        const gone = '/ofertas-de-trabajo/oferta-de-trabajo-de-cajero-1A2B3C4D5E6F7081';
+        const { items, state } = await crawl(server, { maxRequestRetries: 2 }, [
+            { url: `${server.origin}${EXPIRED_PATH}`, userData: { label: 'DETAIL' } },
+            { url: `${server.origin}${gone}`, userData: { label: 'DETAIL' } },
+        ]);
+
+        assert.equal(items.length, 1);
+        assert.equal(items[0].status, 'expired');
+        assert.equal(items[0].job_id, '7E6D5C4B3A291807');
+        assert.equal(items[0].title, 'Chofer repartidor');
+        assert.equal(state.totalJobsSaved, 0);
+        assert.deepEqual(state.pageOutcomes, { expired_offer: 1, not_found: 1 });
+        assert.equal(server.hits.filter((hit) => hit === gone).length, 1);
+    });
+
+    it('quarantines records that fail validation without retrying them', async () => {
+        const { items, state } = await crawl(server, { maxRequestRetries: 2 }, [
+            // A search context with a rank of 0 fails the schema's minimum of 1
+            { url: `${server.origin}${QUARANTINED_PATH}`, userData: { label: 'DETAIL', searchContext: { rank: 0 } } },
+        ]);
+
+        const quarantine = await Dataset.open(QUARANTINE_DATASET);
+        const { items: quarantined } = await quarantine.getData();
+        await quarantine.drop();
+        assert.equal(items.length, 0);
+        assert.equal(state.quarantined, 1);
+        assert.equal(state.totalJobsSaved, 0);
+        assert.equal(quarantined.length, 1);
+        assert.equal(quarantined[0].title, 'Auxiliar contable');
+        assert.deepEqual(quarantined[0].validation_errors, ['rank: below 1']);
+        assert.equal(server.hits.filter((hit) => hit === QUARANTINED_PATH).length, 1);
+    });
+
+    it('slows down and pauses the site after a rate-limited response', async () => {
+        const { items, state, throttle } = await crawl(server, { requestDelayMs: 10, maxConcurrency: 4 }, [
+            toListRequest({ url: `${server.origin}${RATE_LIMITED_PATH}` }),
+        ]);
+
+        assert.equal(items.length, 0);
+        assert.deepEqual(state.pageOutcomes, { rate_limited: 1 });
+        assert.equal(state.searchesFailed, 1);
+        assert.equal(throttle.concurrency, 2);
+        // Widened from the 1 s backoff floor, not the 10 ms baseline
+        assert.equal(throttle.delayFor('127.0.0.1'), 2000);
+        assert.ok(throttle.pauseRemainingMs('127.0.0.1') > 25000);
+    });
+
+    it('discovers offers from robots.txt and gzipped sitemaps, skipping old entries', async () => {
+        const discovery = { mode: 'sitemaps', lastmodSince: new Date('2026-09-01T00:00:00Z') };
+        const { items, state } = await crawl(server, { discovery, maxResultsDesired: 10 }, toDiscoveryRequests(discovery, { origin: server.origin }));
+
+        assert.deepEqual(items.map((item) => item.title).sort(), ['Asesor de ventas', 'Auxiliar contable']);
+        assert.ok(items.every((item) => item.search_url === `${server.origin}/sitemaps/ofertas-1.xml.gz` && item.rank === null));
+        // The 2025 sitemap and the June offer are older than the cutoff; the slug variant shares an offer ID;
+        // hub pages are not needed while offers come from the sitemaps; the unparseable <loc> is dropped
+        assert.ok(!server.hits.includes('/sitemaps/ofertas-2025.xml.gz'));
+        assert.ok(!server.hits.includes(LOGIN_WALL_PATH));
+        assert.ok(!server.hits.some((hit) => hit.includes('-en-zapopan-jalisco-')));
+        assert.ok(!server.hits.includes('/trabajo-de-asesor-de-ventas'));
+        assert.deepEqual(state.discovery, { sitemapsRead: 3, offersQueued: 2, hubsQueued: 0, staleSkipped: 2 });
+        assert.equal(state.pageOutcomes.not_found, 1); // /sitemap.xml
+    });
+
+    it('queues sitemap offers only as results_wanted still needs them', async () => {
+        const discovery = { mode: 'sitemaps', lastmodSince: new Date('2026-09-01T00:00:00Z') };
+        const seed = toDiscoveryRequests(discovery, { origin: server.origin });
+        const limited = await crawl(server, { discovery, maxResultsDesired: 1 }, seed);
+
+        assert.equal(limited.items.length, 1);
+        assert.equal(limited.state.discovery.offersQueued, 1);
+        assert.equal(server.hits.filter((hit) => hit.startsWith('/ofertas-de-trabajo/')).length, 1);
+
+        await (await Dataset.open()).drop();
+        server.hits.length = 0;
+
+        // A filtered offer frees its slot for the next one in the sitemap
+        const filters = parseFilterOptions({ titleExclude: ['asesor'] });
+        const refilled = await crawl(server, { discovery, maxResultsDesired: 1, filters }, seed);
+        assert.deepEqual(refilled.items.map((item) => item.title), ['Auxiliar contable']);
+        assert.equal(refilled.state.discovery.offersQueued, 2);
+    });
+
+    it('counts a truncated gzipped sitemap as a malformed feed', async () => {
+        const discovery = { mode: 'sitemaps', lastmodSince: null };
+        const { items, state } = await crawl(server, { discovery }, [
+            { url: `${server.origin}/sitemaps/ofertas-cortado.xml.gz`, userData: { label: 'SITEMAP' } },
+        ]);
+
+        assert.equal(items.length, 0);
+        assert.deepEqual(state.pageOutcomes, { soft_block: 1 });
+        assert.equal(state.discovery.sitemapsRead, 0);
+        assert.match(state.quality.summary().top_failing_urls[0].last_error, /Blocked \(soft_block\)/);
+    });
+
+    it('enumerates category and location hubs from the home page and listings', async () => {
+        const discovery = { mode: 'hubs', lastmodSince: null };
+        const { items, state } = await crawl(server, { discovery, collectDetails: false, maxResultsDesired: 10, maxPagesPerStart: 1 }, [
+            { url: `${server.origin}/`, userData: { label: 'HUBS' } },
+        ]);
+
+        assert.deepEqual(items.map((item) => item.title), ['Asesor de ventas', 'Auxiliar contable', 'Cajero']);
+        assert.equal(items[0].search_query, 'asesor de ventas');
+        // Home page hubs plus the category link of the listing, each requested once
+        assert.equal(state.discovery.hubsQueued, 3);
+        for (const hub of ['/trabajo-de-asesor-de-ventas', '/empleos-en-jalisco', '/trabajo-de-contador']) {
+            assert.equal(server.hits.filter((hit) => hit === hub).length, 1);
+        }
+    });
+
+    it('keeps per-query quotas, tags and counters for batched queries', async () => {
+        const url = `${server.origin}/trabajo-de-asesor-de-ventas`;
+        const queries = [
+            { id: '1', tag: 'ventas', url, searchQuery: 'asesor de ventas', maxResults: 1, maxPages: 5 },
+            { id: '2', tag: 'todo', url, searchQuery: null, maxResults: 5, maxPages: 1 },
+        ];
+        const { items, state } = await crawl(server, { queries, collectDetails: false, maxResultsDesired: 6, maxConcurrency: 1 },
+            queries.map((q) => toListRequest({ url: q.url, searchQuery: q.searchQuery, queryId: q.id })));
+
+        assert.deepEqual(items.map((item) => [item.title, item.query_tag]), [
+            ['Asesor de ventas', 'ventas'],
+            ['Auxiliar contable', 'todo'],
+            ['Cajero', 'todo'],
+        ]);
+        // Both queries read the shared first page; the offer saved by the first is not saved again
+        assert.equal(server.hits.filter((hit) => hit === '/trabajo-de-asesor-de-ventas').length, 2);
+        assert.ok(!server.hits.includes('/trabajo-de-asesor-de-ventas?p=2'));
+        assert.deepEqual(state.queries['1'], {
+            tag: 'ventas', search_url: url, search_query: 'asesor de ventas', wanted: 1, max_pages: 5, saved: 1, filtered: 0, duplicates_skipped: 0, pages: 1,
+        });
+        assert.equal(state.queries['2'].saved, 2);
+        assert.equal(state.queries['2'].duplicates_skipped, 1);
+        assert.equal(state.totalJobsSaved, 3);
+    });
+
+    it('stops at results_wanted', async () => {
+        const { items } = await crawl(server, { collectDetails: false, maxResultsDesired: 2, maxPagesPerStart: 5 });
+        assert.equal(items.length, 2);
+    });
+});
@@ -0,0 +1,72 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseSpanishDate, formatZonedDate, toPostedDateFields, toExpiryDate } from '../src/dates.js';
+import { FIXED_NOW } from './helpers/fixtures.js';
+
+// FIXED_NOW is 2026-10-19T18:00Z, noon in Mexico City (UTC-6)
+const posted = (text, timeZone) => {
+    const { date_posted, date_posted_precision } = toPostedDateFields(text, timeZone);
+    return [date_posted, date_posted_precision];
+};
+
+describe('parseSpanishDate', () => {
+    beforeEach(() => mock.timers.enable({ apis: ['Date'], now: FIXED_NOW }));
+    afterEach(() => mock.timers.reset());
+
+    it('reads ISO dates, in the site zone when no offset is given', () => {
+        assert.deepEqual(posted('2026-10-01'), ['2026-10-01', 'day']);
+        assert.equal(toPostedDateFields('2026-10-01').datePosted, '2026-10-01T06:00:00.000Z');
+        assert.deepEqual(posted('2026-10-15T09:30:00-06:00'), ['2026-10-15T09:30:00-06:00', 'exact']);
+        assert.deepEqual(posted('2026-10-15T15:30:00Z'), ['2026-10-15T09:30:00-06:00', 'exact']);
+        assert.deepEqual(posted('2026-10-15 09:30'), ['2026-10-15T09:30:00-06:00', 'exact']);
+    });
+
+    it('resolves "hace N unidad" with a precision per unit', () => {
+        assert.deepEqual(posted('Hace 3 días'), ['2026-10-16', 'day']);
+        assert.deepEqual(posted('hace una hora'), ['2026-10-19T11:00:00-06:00', 'exact']);
+        assert.deepEqual(posted('Actualizado hace 2 horas'), ['2026-10-19T10:00:00-06:00', 'exact']);
+        assert.deepEqual(posted('hace 15 minutos'), ['2026-10-19T11:45:00-06:00', 'exact']);
+        assert.deepEqual(posted('hace 2 semanas'), ['2026-10-05', 'approximate']);
+        assert.deepEqual(posted('Publicado hace más de 30 días'), ['2026-09-19', 'approximate']);
+        assert.deepEqual(posted('Hace un momento'), ['2026-10-19T12:00:00-06:00', 'exact']);
+    });
+
+    it('resolves hoy / ayer against the local calendar day', () => {
+        assert.deepEqual(posted('Publicado hoy'), ['2026-10-19', 'day']);
+        assert.deepEqual(posted('Ayer'), ['2026-10-18', 'day']);
+        assert.deepEqual(posted('antier'), ['2026-10-17', 'day']);
+        // 23:30 local on the 19th is already the 20th in UTC
+        const lateEvening = new Date('2026-10-20T05:30:00Z');
+        assert.equal(formatZonedDate(parseSpanishDate('hoy', { now: lateEvening }).date, 'day'), '2026-10-19');
+        assert.equal(formatZonedDate(parseSpanishDate('hoy', { now: lateEvening, timeZone: 'UTC' }).date, 'day', 'UTC'), '2026-10-20');
+    });
+
+    it('reads day-month dates, assuming the latest past year', () => {
+        assert.deepEqual(posted('Publicado el 15 de octubre'), ['2026-10-15', 'day']);
+        assert.deepEqual(posted('Publicado el 24 de diciembre'), ['2025-12-24', 'day']);
+        assert.deepEqual(posted('3 sept. 2025'), ['2025-09-03', 'day']);
+        assert.deepEqual(posted('15/10/2026'), ['2026-10-15', 'day']);
+        assert.deepEqual(posted('31 de febrero'), [null, null]);
+    });
+
+    it('uses the site time zone', () => {
+        assert.deepEqual(posted('hace una hora', 'America/Bogota'), ['2026-10-19T12:00:00-05:00', 'exact']);
+        assert.deepEqual(posted('hace una hora', 'America/Argentina/Buenos_Aires'), ['2026-10-19T14:00:00-03:00', 'exact']);
+    });
+
+    it('returns nulls instead of the raw text when nothing parses', () => {
+        assert.deepEqual(toPostedDateFields('Publicado recientemente'), { datePosted: null, date_posted: null, date_posted_precision: null });
+        assert.deepEqual(toPostedDateFields(''), { datePosted: null, date_posted: null, date_posted_precision: null });
+        assert.equal(parseSpanishDate('3 vacantes'), null);
+    });
+});
+
+describe('toExpiryDate', () => {
+    it('keeps the precision of validThrough', () => {
+        assert.equal(toExpiryDate('2026-11-14T23:59:59-06:00'), '2026-11-14T23:59:59-06:00');
+        assert.equal(toExpiryDate('2026-11-14'), '2026-11-14');
+        assert.equal(toExpiryDate('pronto'), null);
+        assert.equal(toExpiryDate(null), null);
+    });
+});
@@ -0,0 +1,79 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { load as cheerioLoad } from 'cheerio';
+
+import { extractJobDetail, extractJobDetailWithStrategies, cleanCompanyName } from '../src/detail.js';
+import { getCountrySite } from '../src/sites.js';
+import { validateRecord } from '../src/schema.js';
+import { FIXED_NOW, loadFixture, assertGolden } from './helpers/fixtures.js';
+
+const DETAIL_URL = 'https://mx.computrabajo.com/ofertas-de-trabajo/oferta-de-trabajo-de-asesor-de-ventas-en-zapopan-5A1B2C3D4E5F60718293A4B5C6D7E8F9';
+
+describe('extractJobDetail', () => {
+    beforeEach(() => mock.timers.enable({ apis: ['Date'], now: FIXED_NOW }));
+    afterEach(() => mock.timers.reset());
+
+    it('prefers JSON-LD fields', () => {
+        const job = extractJobDetail(loadFixture('detail-jsonld.html'), DETAIL_URL);
+        assertGolden('detail-jsonld.expected.json', job);
+    });
+
+    it('falls back to CSS selectors without JSON-LD', () => {
+        const job = extractJobDetail(loadFixture('detail-no-jsonld.html'), DETAIL_URL);
+        assertGolden('detail-no-jsonld.expected.json', job);
+    });
+
+    it('adds description contacts with includeContacts', () => {
+        const job = extractJobDetail(loadFixture('detail-no-jsonld.html'), DETAIL_URL, getCountrySite(DETAIL_URL), { includeContacts: true });
+        assert.deepEqual(job.contact_emails, ['rh@despachogarza.mx']);
+        assert.deepEqual(job.contact_phones, ['8181234567']);
+        assert.equal(job.apply_type, 'external');
+    });
+
+    it('takes the company link and name from the offer header only', () => {
+        const page = (header) => cheerioLoad(`<html><body><main>
+            <div class="box_header"><h1>Cajero</h1>${header}</div>
+            <div class="box_related"><a href="/empresas/otra-empresa-9A8B7C6D5E4F3A2B">Otra Empresa</a></div>
+        </main></body></html>`);
+        const linked = extractJobDetail(page('<p><a href="/empresas/tiendas-del-norte-1F2E3D4C5B6A7980">Tiendas del Norte</a></p>'), DETAIL_URL);
+        assert.equal(linked.company_id, 'tiendas-del-norte-1f2e3d4c5b6a7980');
+
+        const unlinked = extractJobDetail(page('<p>Empresa confidencial</p>'), DETAIL_URL);
+        assert.equal(unlinked.company, null);
+        assert.equal(unlinked.company_id, null);
+        assert.equal(unlinked.company_url, null);
+    });
+
+    it('clips a verbose employment chip row instead of failing validation', () => {
+        const chips = ['Tiempo completo', 'Contrato por tiempo indeterminado', 'Lunes a viernes de 9:00 a 18:00', 'Presencial y home office', 'Sueldo base más comisiones'];
+        const $ = cheerioLoad(`<html><body><main>
+            <div class="box_header"><h1>Cajero</h1></div>
+            <div class="dFlex mb10">${chips.map((c) => `<span class="tag">${c}</span>`).join(' ')}</div>
+        </main></body></html>`);
+        const job = extractJobDetail($, DETAIL_URL);
+        assert.equal(job.employmentType.length, 100);
+        assert.ok(job.employmentType.startsWith('Tiempo completo Contrato por tiempo indeterminado'));
+        assert.ok(job.employmentType.endsWith('…'));
+        assert.ok(!validateRecord(job).some((e) => e.startsWith('employmentType')));
+    });
+
+    it('takes the country from the detail URL', () => {
+        const job = extractJobDetail(loadFixture('detail-no-jsonld.html'), 'https://co.computrabajo.com/ofertas-de-trabajo/oferta-de-trabajo-de-x-0C1D2E3F4A5B6C7D');
+        assert.equal(job.country, 'co');
+        assert.equal(job.site_domain, 'co.computrabajo.com');
+    });
+
+    it('reports the strategy that filled each field', () => {
+        const { strategies: fromJsonLd } = extractJobDetailWithStrategies(loadFixture('detail-jsonld.html'), DETAIL_URL);
+        assert.equal(fromJsonLd.title, 'json-ld');
+        assert.equal(fromJsonLd.description, 'json-ld');
+
+        const { job, strategies } = extractJobDetailWithStrategies(loadFixture('detail-no-jsonld.html'), DETAIL_URL);
+        assert.deepEqual(job, extractJobDetail(loadFixture('detail-no-jsonld.html'), DETAIL_URL));
+        assert.equal(strategies.title, 'css h1');
+        assert.equal(strategies.company, 'css .box_header a[href*="/empresas/"]');
+        assert.equal(strategies.salary, 'labeled value');
+        assert.equal(strategies.job_id, 'page');
+        assert.equal(strategies.date_posted, 'css .fc_aux.fs13.mtB');
+    });
+});
@@ -0,0 +1,104 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { gzipSync } from 'node:zlib';
+
+import {
+    parseDiscoveryOptions, toDiscoveryRequests, parseRobotsSitemaps, decodeSitemapBody, parseSitemap,
+    isModifiedSince, classifyDiscoveredUrl, extractHubLinks,
+} from '../src/discovery.js';
+import { getCountrySite } from '../src/sites.js';
+import { fixturePath, loadFixture } from './helpers/fixtures.js';
+
+const ORIGIN = 'https://mx.computrabajo.com';
+const NOW = new Date('2026-10-19T18:00:00.000Z');
+
+describe('parseDiscoveryOptions', () => {
+    it('is off by default', () => {
+        assert.equal(parseDiscoveryOptions({}), null);
+        assert.equal(parseDiscoveryOptions({ discoveryMode: 'off', sitemapMaxAgeDays: 30 }), null);
+    });
+
+    it('turns sitemapMaxAgeDays into a lastmod cutoff', () => {
+        assert.deepEqual(parseDiscoveryOptions({ discoveryMode: 'Sitemaps', sitemapMaxAgeDays: 31 }, NOW), {
+            mode: 'sitemaps',
+            lastmodSince: new Date('2026-09-18T18:00:00.000Z'),
+        });
+        assert.deepEqual(parseDiscoveryOptions({ discoveryMode: 'hubs', sitemapMaxAgeDays: 0 }, NOW), { mode: 'hubs', lastmodSince: null });
+    });
+
+    it('rejects unknown modes and negative ages', () => {
+        assert.throws(() => parseDiscoveryOptions({ discoveryMode: 'everything' }), /Invalid "discoveryMode" input "everything"/);
+        assert.throws(() => parseDiscoveryOptions({ discoveryMode: 'sitemaps', sitemapMaxAgeDays: -3 }), /Invalid "sitemapMaxAgeDays" input "-3"/);
+    });
+
+    it('seeds robots.txt and /sitemap.xml, or the home page for hubs', () => {
+        const site = getCountrySite('co');
+        assert.deepEqual(toDiscoveryRequests({ mode: 'sitemaps' }, site).map((r) => [r.url, r.userData.label]), [
+            ['https://co.computrabajo.com/robots.txt', 'ROBOTS'],
+            ['https://co.computrabajo.com/sitemap.xml', 'SITEMAP'],
+        ]);
+        assert.deepEqual(toDiscoveryRequests({ mode: 'hubs' }, site), [{ url: 'https://co.computrabajo.com/', userData: { label: 'HUBS' } }]);
+    });
+});
+
+describe('robots.txt and sitemaps', () => {
+    it('reads the Sitemap lines of robots.txt', () => {
+        const robots = `${readFileSync(fixturePath('robots.txt'), 'utf8')}sitemap: ${ORIGIN}/sitemap-empresas.xml\nSitemap: /sitemap-index.xml\n`;
+        assert.deepEqual(parseRobotsSitemaps(robots, `${ORIGIN}/robots.txt`), [
+            `${ORIGIN}/sitemap-index.xml`,
+            `${ORIGIN}/sitemap-empresas.xml`,
+        ]);
+        assert.deepEqual(parseRobotsSitemaps('User-agent: *\nDisallow:', `${ORIGIN}/robots.txt`), []);
+    });
+
+    it('decodes gzipped and plain bodies', () => {
+        const xml = readFileSync(fixturePath('sitemap-offers.xml'), 'utf8');
+        assert.equal(decodeSitemapBody(gzipSync(xml)), xml);
+        assert.equal(decodeSitemapBody(Buffer.from(xml)), xml);
+        assert.equal(decodeSitemapBody(xml), xml);
+        assert.equal(decodeSitemapBody(gzipSync(xml).subarray(0, 60)), null);
+    });
+
+    it('parses sitemap indexes and URL sets', () => {
+        const index = parseSitemap(readFileSync(fixturePath('sitemap-index.xml'), 'utf8'));
+        assert.equal(index.type, 'index');
+        assert.deepEqual(index.entries[0], { loc: '/sitemaps/ofertas-1.xml.gz', lastmod: '2026-10-18T04:00:00-06:00' });
+        assert.equal(index.entries[2].lastmod, null);
+
+        const urlset = parseSitemap(readFileSync(fixturePath('sitemap-offers.xml'), 'utf8'));
+        assert.equal(urlset.type, 'urlset');
+        assert.equal(urlset.entries.length, 5);
+    });
+
+    it('returns null for anything that is not a sitemap', () => {
+        assert.equal(parseSitemap(readFileSync(fixturePath('cloudflare-challenge.html'), 'utf8')), null);
+        assert.equal(parseSitemap(''), null);
+    });
+
+    it('filters by lastmod, keeping entries without one', () => {
+        const since = new Date('2026-09-01T00:00:00Z');
+        assert.equal(isModifiedSince('2026-10-15', since), true);
+        assert.equal(isModifiedSince('2026-06-30T10:00:00+00:00', since), false);
+        assert.equal(isModifiedSince(null, since), true);
+        assert.equal(isModifiedSince('ayer', since), true);
+        assert.equal(isModifiedSince('2020-01-01', null), true);
+    });
+});
+
+describe('hub pages', () => {
+    it('classifies offers and category / location hubs', () => {
+        assert.equal(classifyDiscoveredUrl(`${ORIGIN}/ofertas-de-trabajo/oferta-de-trabajo-de-cajero-9F8E7D6C5B4A3928`), 'offer');
+        assert.equal(classifyDiscoveredUrl(`${ORIGIN}/trabajo-de-asesor-de-ventas-en-jalisco`), 'hub');
+        assert.equal(classifyDiscoveredUrl(`${ORIGIN}/empleos-en-nuevo-leon/`), 'hub');
+        assert.equal(classifyDiscoveredUrl(`${ORIGIN}/empresas/grupo-0F1E2D3C4B5A6978`), null);
+        assert.equal(classifyDiscoveredUrl('not a url'), null);
+    });
+
+    it('collects same-site hub links without query strings or duplicates', () => {
+        assert.deepEqual(extractHubLinks(loadFixture('home.html'), 'http://127.0.0.1:8080/'), [
+            'http://127.0.0.1:8080/trabajo-de-asesor-de-ventas',
+            'http://127.0.0.1:8080/empleos-en-jalisco',
+        ]);
+    });
+});
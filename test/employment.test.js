@@ -0,0 +1,52 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { normalizeEmployment } from '../src/employment.js';
+
+describe('normalizeEmployment', () => {
+    it('splits a whole chip row into separate fields', () => {
+        assert.deepEqual(normalizeEmployment({ texts: ['Tiempo completo Contrato por tiempo indeterminado Presencial y remoto'] }), {
+            schedule: 'full_time',
+            schedule_text: 'Tiempo completo',
+            contract_type: 'indefinido',
+            contract_type_text: 'Contrato por tiempo indeterminado',
+            work_modality: 'hybrid',
+            work_modality_text: 'Presencial y remoto',
+        });
+    });
+
+    it('tells determinado from indeterminado contracts', () => {
+        assert.equal(normalizeEmployment({ texts: ['Contrato por tiempo determinado'] }).contract_type, 'temporal');
+        assert.equal(normalizeEmployment({ texts: ['Indefinido'] }).contract_type, 'indefinido');
+    });
+
+    it('recognizes the other Spanish labels', () => {
+        const out = normalizeEmployment({ texts: ['Medio tiempo', 'Prácticas profesionales', 'Home office'] });
+        assert.equal(out.schedule, 'part_time');
+        assert.equal(out.contract_type, 'practicas');
+        assert.equal(out.work_modality, 'remote');
+        assert.equal(normalizeEmployment({ texts: ['Fines de semana'] }).schedule, 'weekends');
+        assert.equal(normalizeEmployment({ texts: ['Por horas'] }).schedule, 'per_hour');
+        assert.equal(normalizeEmployment({ texts: ['Por obra o labor'] }).contract_type, 'por_obra');
+        assert.equal(normalizeEmployment({ texts: ['Presencial'] }).work_modality, 'onsite');
+    });
+
+    it('maps JSON-LD employment types to Spanish labels', () => {
+        const out = normalizeEmployment({ jsonLdTypes: ['PART_TIME', 'TEMPORARY'], jobLocationType: 'TELECOMMUTE' });
+        assert.equal(out.schedule, 'part_time');
+        assert.equal(out.schedule_text, 'Medio tiempo');
+        assert.equal(out.contract_type, 'temporal');
+        assert.equal(out.work_modality, 'remote');
+    });
+
+    it('prefers page chips over JSON-LD', () => {
+        assert.equal(normalizeEmployment({ texts: ['Medio tiempo'], jsonLdTypes: ['FULL_TIME'] }).schedule, 'part_time');
+    });
+
+    it('leaves unknown fields null', () => {
+        const out = normalizeEmployment({ texts: ['Ventas'] });
+        assert.equal(out.schedule, null);
+        assert.equal(out.contract_type, null);
+        assert.equal(out.work_modality, null);
+    });
+});
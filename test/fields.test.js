@@ -0,0 +1,61 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { load as cheerioLoad } from 'cheerio';
+
+import {
+    extractLabeledValue,
+    normalizeSalaryFromJsonLd,
+    parseAllJsonLd,
+} from '../src/fields.js';
+import { loadFixture } from './helpers/fixtures.js';
+
+describe('extractLabeledValue', () => {
+    it('reads "Label: value" chips', () => {
+        const $ = loadFixture('detail-no-jsonld.html');
+        assert.equal(extractLabeledValue($, [/salario/i]), '$9,000.00 - $11,000.00 (Mensual)');
+        assert.equal(extractLabeledValue($, [/jornada/i]), 'Tiempo completo');
+    });
+
+    it('reads dt/dd pairs', () => {
+        const $ = cheerioLoad('<dl><dt>Edad</dt><dd>18 a 35 años</dd></dl>');
+        assert.equal(extractLabeledValue($, [/edad/i]), '18 a 35 años');
+    });
+
+    it('returns null when no label matches', () => {
+        assert.equal(extractLabeledValue(loadFixture('detail-jsonld.html'), [/idiomas/i]), null);
+    });
+});
+
+describe('normalizeSalaryFromJsonLd', () => {
+    it('maps MonetaryAmount ranges', () => {
+        assert.deepEqual(normalizeSalaryFromJsonLd({
+            '@type': 'MonetaryAmount',
+            currency: 'MXN',
+            value: { '@type': 'QuantitativeValue', minValue: 8000, maxValue: 10000, unitText: 'MONTH' },
+        }), { salary_currency: 'MXN', salary_period: 'MONTH', salary_min: 8000, salary_max: 10000 });
+    });
+
+    it('maps single amounts', () => {
+        assert.deepEqual(
+            normalizeSalaryFromJsonLd({ '@type': 'MonetaryAmount', currency: 'COP', value: { value: 1500000, unitText: 'MONTH' } }),
+            { salary_currency: 'COP', salary_period: 'MONTH', salary_amount: 1500000 },
+        );
+    });
+
+    it('returns null without usable data', () => {
+        assert.equal(normalizeSalaryFromJsonLd(null), null);
+        assert.equal(normalizeSalaryFromJsonLd({}), null);
+    });
+});
+
+describe('parseAllJsonLd', () => {
+    it('finds the JobPosting block', () => {
+        const item = parseAllJsonLd(loadFixture('detail-jsonld.html'));
+        assert.equal(item.title, 'Asesor de ventas');
+    });
+
+    it('ignores malformed and unrelated blocks', () => {
+        const $ = cheerioLoad('<script type="application/ld+json">{bad</script><script type="application/ld+json">{"@type":"Organization"}</script>');
+        assert.equal(parseAllJsonLd($), null);
+    });
+});
@@ -0,0 +1,68 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseFilterOptions, getFilterReason } from '../src/filters.js';
+import { FIXED_NOW } from './helpers/fixtures.js';
+
+const JOB = {
+    title: 'Asesor de ventas',
+    company: 'Grupo Automotriz del Bajío',
+    salary_min: 12000,
+    salary_max: 15000,
+    salary_monthly_min: 12000,
+    salary_monthly_max: 15000,
+    work_modality: 'hybrid',
+    datePosted: '2026-10-15T15:30:00.000Z',
+    description_text: 'Atención a clientes en sucursal. Sueldo base más comisiones.',
+};
+
+const reason = (input, job = JOB) => getFilterReason(job, parseFilterOptions(input));
+
+describe('parseFilterOptions', () => {
+    it('is off when no filter is set', () => {
+        assert.equal(parseFilterOptions({}), null);
+        assert.equal(parseFilterOptions({ titleInclude: [], minSalary: '' }), null);
+    });
+
+    it('rejects malformed input with a clear error', () => {
+        assert.throws(() => parseFilterOptions({ titleInclude: ['(ventas'] }), /Invalid "titleInclude" pattern "\(ventas"/);
+        assert.throws(() => parseFilterOptions({ requiredModality: ['office'] }), /Invalid "requiredModality" value "office"/);
+        assert.throws(() => parseFilterOptions({ minSalary: 'mucho' }), /Invalid "minSalary"/);
+    });
+});
+
+describe('getFilterReason', () => {
+    beforeEach(() => mock.timers.enable({ apis: ['Date'], now: FIXED_NOW }));
+    afterEach(() => mock.timers.reset());
+
+    it('keeps jobs passing every rule', () => {
+        assert.equal(reason({
+            titleInclude: ['asesor|vendedor'],
+            titleExclude: ['becario'],
+            excludeCompanies: ['Manpower'],
+            minSalary: 15000,
+            requiredModality: ['hybrid', 'remote'],
+            maxPostingAgeDays: 7,
+            descriptionKeywords: ['comisiones'],
+            descriptionExcludeKeywords: ['sin sueldo'],
+        }), null);
+    });
+
+    it('names the rule that rejected the job', () => {
+        assert.equal(reason({ titleInclude: ['contador'] }), 'title_not_included');
+        assert.equal(reason({ titleExclude: ['ASESOR'] }), 'title_excluded');
+        assert.equal(reason({ excludeCompanies: 'manpower, automotriz del bajio' }), 'company_excluded');
+        assert.equal(reason({ minSalary: 20000 }), 'salary_below_min');
+        assert.equal(reason({ requiredModality: ['remote'] }), 'modality_mismatch');
+        assert.equal(reason({ maxPostingAgeDays: 2 }), 'too_old');
+        assert.equal(reason({ descriptionKeywords: ['inglés'] }), 'description_keywords_missing');
+        assert.equal(reason({ descriptionExcludeKeywords: ['atencion a clientes'] }), 'description_excluded');
+    });
+
+    it('keeps jobs with unknown salary or date, and skips rules listing cards cannot answer', () => {
+        const card = { title: 'Cajero', company: 'Empresa confidencial', datePosted: null };
+        assert.equal(reason({ minSalary: 20000, maxPostingAgeDays: 1 }, card), null);
+        assert.equal(reason({ requiredModality: ['remote'], descriptionKeywords: ['x'] }, card), null);
+        assert.equal(reason({ requiredModality: ['remote'] }, { ...JOB, work_modality: null }), 'modality_mismatch');
+    });
+});
@@ -0,0 +1,26 @@
+/**
+ * Fixture loading and golden-file assertions.
+ * Run with UPDATE_GOLDEN=1 to rewrite the expected JSON after a deliberate change.
+ */
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { load as cheerioLoad } from 'cheerio';
+
+// Fixed clock for relative dates ("Hace 3 días") in golden outputs
+export const FIXED_NOW = new Date('2026-10-19T18:00:00.000Z');
+
+export const fixturePath = (name) => fileURLToPath(new URL(`../fixtures/${name}`, import.meta.url));
+
+export const loadFixture = (name) => cheerioLoad(readFileSync(fixturePath(name), 'utf8'));
+
+export const assertGolden = (name, actual) => {
+    const file = fixturePath(name);
+    // Round-trip so undefined fields compare the same way they are stored
+    const normalized = JSON.parse(JSON.stringify(actual));
+    if (process.env.UPDATE_GOLDEN) {
+        writeFileSync(file, `${JSON.stringify(normalized, null, 2)}\n`);
+        return;
+    }
+    assert.deepEqual(normalized, JSON.parse(readFileSync(file, 'utf8')));
+};
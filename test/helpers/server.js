@@ -0,0 +1,40 @@
+/**
+ * Local HTTP stand-in for Computrabajo: serves saved fixtures by path + query
+ */
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { gzipSync } from 'node:zlib';
+
+import { fixturePath } from './fixtures.js';
+
+/**
+ * routes: { '/path?query': 'fixture.html' | { file, status, headers, gzip, truncate } }
+ * gzip serves the file compressed as-is (like a .xml.gz sitemap), not as a Content-Encoding;
+ * truncate cuts the body to that many bytes (an interrupted download).
+ * Unknown paths answer 404. Every request URL is recorded in `hits`.
+ */
+export const startFixtureServer = async (routes) => {
+    const hits = [];
+    const server = createServer(async (req, res) => {
+        hits.push(req.url);
+        const route = routes[req.url];
+        if (!route) {
+            res.writeHead(404, { 'content-type': 'text/html; charset=utf-8' });
+            res.end('<html><head><title>404</title></head><body>No encontrado</body></html>');
+            return;
+        }
+        const { file, status = 200, headers = {}, gzip = false, truncate = null } = typeof route === 'string' ? { file: route } : route;
+        const content = file ? await readFile(fixturePath(file)) : '';
+        const full = gzip ? gzipSync(content) : content;
+        const body = truncate == null ? full : full.subarray(0, truncate);
+        res.writeHead(status, { 'content-type': 'text/html; charset=utf-8', ...headers });
+        res.end(body);
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    return {
+        origin: `http://127.0.0.1:${port}`,
+        hits,
+        close: () => new Promise((resolve) => server.close(resolve)),
+    };
+};
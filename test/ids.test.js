@@ -0,0 +1,52 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { load } from 'cheerio';
+
+import { parseOfferIdFromUrl, parseOfferIdFromPage, hashJobContent, resolveJobId, offerUniqueKey } from '../src/ids.js';
+
+describe('parseOfferIdFromUrl', () => {
+    it('takes the trailing hex token of detail URLs', () => {
+        assert.equal(parseOfferIdFromUrl('/ofertas-de-trabajo/oferta-de-trabajo-de-cajero-en-puebla-9f8e7d6c5b4a3928#lc=1'), '9F8E7D6C5B4A3928');
+        assert.equal(parseOfferIdFromUrl('https://mx.computrabajo.com/ofertas-de-trabajo/oferta-de-trabajo-de-x-0C1D2E3F4A5B6C7D?utm_source=a'), '0C1D2E3F4A5B6C7D');
+        assert.equal(parseOfferIdFromUrl('/trabajo-de-cajero'), null);
+    });
+});
+
+describe('parseOfferIdFromPage', () => {
+    it('reads the JSON-LD identifier', () => {
+        assert.equal(parseOfferIdFromPage(load('<p></p>'), { '@type': 'PropertyValue', value: '0c1d2e3f-4a5b-6c7d-8e9f-0a1b2c3d4e5f' }), '0C1D2E3F4A5B6C7D8E9F0A1B2C3D4E5F');
+    });
+
+    it('reads hidden inputs and canonical links', () => {
+        assert.equal(parseOfferIdFromPage(load('<input type="hidden" id="IdOffer" value="9f8e7d6c5b4a3928">')), '9F8E7D6C5B4A3928');
+        assert.equal(
+            parseOfferIdFromPage(load('<link rel="canonical" href="https://mx.computrabajo.com/ofertas-de-trabajo/oferta-de-trabajo-de-x-5A1B2C3D4E5F6071">')),
+            '5A1B2C3D4E5F6071',
+        );
+    });
+
+    it('ignores identifiers that are not offer IDs', () => {
+        assert.equal(parseOfferIdFromPage(load('<input name="oi" value="abc">'), 'JOB-1'), null);
+    });
+});
+
+describe('resolveJobId', () => {
+    const content = { title: 'Cajero', company: 'ACME', location: 'Puebla, Puebla' };
+
+    it('prefers the page ID, then the URL', () => {
+        assert.deepEqual(resolveJobId({ pageId: 'AAAA', url: '/oferta-de-trabajo-de-x-9F8E7D6C5B4A3928', ...content }), { job_id: 'AAAA', job_id_source: 'page' });
+        assert.deepEqual(resolveJobId({ url: '/oferta-de-trabajo-de-x-9F8E7D6C5B4A3928', ...content }), { job_id: '9F8E7D6C5B4A3928', job_id_source: 'url' });
+    });
+
+    it('falls back to a stable content hash', () => {
+        const { job_id, job_id_source } = resolveJobId({ url: '/empleo/cajero', ...content });
+        assert.equal(job_id_source, 'hash');
+        assert.match(job_id, /^hash-[0-9a-f]{16}$/);
+        assert.equal(job_id, hashJobContent({ title: ' cajero ', company: 'ACME', location: 'Puebla,  Puebla' }));
+        assert.notEqual(job_id, hashJobContent({ ...content, location: 'Puebla, Tlaxcala' }));
+    });
+
+    it('builds one queue key per offer', () => {
+        assert.equal(offerUniqueKey('9F8E7D6C5B4A3928'), 'offer:9F8E7D6C5B4A3928');
+    });
+});
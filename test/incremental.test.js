@@ -0,0 +1,80 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Configuration } from 'crawlee';
+
+import { openSeenOffers } from '../src/incremental.js';
+
+Configuration.getGlobalConfig().set('persistStorage', false);
+
+let n = 0;
+const storeName = () => `seen-test-${++n}`;
+
+describe('openSeenOffers', () => {
+    it('counts runs and remembers offers across them', async () => {
+        const name = storeName();
+        const first = await openSeenOffers({ storeName: name });
+        assert.equal(first.run, 1);
+        assert.equal(first.markSeen('A', { url: 'https://mx.computrabajo.com/a', title: 'Cajero' }), true);
+        assert.equal(first.markSeen('A'), false);
+        await first.save();
+
+        const second = await openSeenOffers({ storeName: name });
+        assert.equal(second.run, 2);
+        assert.equal(second.isKnown('A'), true);
+        assert.equal(second.isKnown('B'), false);
+        assert.equal(second.size, 1);
+    });
+
+    it('resumes the run when reopened with the same run ID', async () => {
+        const name = storeName();
+        const first = await openSeenOffers({ storeName: name, runId: 'run-a', expireAfterRuns: 1 });
+        first.markSeen('A');
+        await first.save();
+
+        // Migration: same platform run, same run number, offers seen so far still count
+        const resumed = await openSeenOffers({ storeName: name, runId: 'run-a', expireAfterRuns: 1 });
+        assert.equal(resumed.run, 1);
+        assert.equal(resumed.resumed, true);
+        assert.deepEqual(resumed.takeExpired(), []);
+        await resumed.save();
+
+        const next = await openSeenOffers({ storeName: name, runId: 'run-b' });
+        assert.equal(next.run, 2);
+        assert.equal(next.resumed, false);
+    });
+
+    it('expires offers missing for N runs exactly once', async () => {
+        const name = storeName();
+        let seen = await openSeenOffers({ storeName: name, expireAfterRuns: 2 });
+        seen.markSeen('https://mx.computrabajo.com/old', { job_id: 'OLD', title: 'Chofer', company: 'ACME' });
+        seen.markSeen('KEEP');
+        await seen.save();
+
+        // Run 2: OLD missing for 1 run only
+        seen = await openSeenOffers({ storeName: name, expireAfterRuns: 2 });
+        seen.markSeen('KEEP');
+        assert.deepEqual(seen.takeExpired(), []);
+        await seen.save();
+
+        // Run 3: OLD missing for 2 runs
+        seen = await openSeenOffers({ storeName: name, expireAfterRuns: 2 });
+        seen.markSeen('KEEP');
+        const expired = seen.takeExpired();
+        assert.equal(expired.length, 1);
+        assert.equal(expired[0].status, 'expired');
+        assert.equal(expired[0].job_id, 'OLD');
+        assert.equal(expired[0].title, 'Chofer');
+        assert.equal(seen.isKnown('https://mx.computrabajo.com/old'), false);
+        assert.deepEqual(seen.takeExpired(), []);
+    });
+
+    it('does not expire anything when a run saw no offers', async () => {
+        const name = storeName();
+        let seen = await openSeenOffers({ storeName: name, expireAfterRuns: 1 });
+        seen.markSeen('A');
+        await seen.save();
+
+        seen = await openSeenOffers({ storeName: name, expireAfterRuns: 1 });
+        assert.deepEqual(seen.takeExpired(), []);
+    });
+});
@@ -0,0 +1,72 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { load as cheerioLoad } from 'cheerio';
+
+import { extractListingCards, cleanJobUrl, getOfferKey, isDetailUrl, getNextPageUrl } from '../src/listing.js';
+import { FIXED_NOW, loadFixture, assertGolden } from './helpers/fixtures.js';
+
+const LISTING_URL = 'https://mx.computrabajo.com/trabajo-de-asesor-de-ventas';
+
+describe('extractListingCards', () => {
+    beforeEach(() => mock.timers.enable({ apis: ['Date'], now: FIXED_NOW }));
+    afterEach(() => mock.timers.reset());
+
+    it('parses every job card', () => {
+        const cards = extractListingCards(loadFixture('listing.html'), LISTING_URL);
+        assertGolden('listing.expected.json', cards);
+    });
+
+    it('records the search, page, rank and promotion of each card', () => {
+        const search = { search_url: LISTING_URL, search_query: 'asesor de ventas', page: 2 };
+        const cards = extractListingCards(loadFixture('listing.html'), LISTING_URL, undefined, search);
+        assert.deepEqual(cards.map((c) => [c.rank, c.is_featured, c.page]), [[1, true, 2], [2, false, 2], [3, false, 2]]);
+        assert.ok(cards.every((c) => c.search_url === LISTING_URL && c.search_query === 'asesor de ventas'));
+        assert.match(cards[1].listing_snippet, /^Auxiliar contable Despacho Garza y Asociados Monterrey, Nuevo León/);
+    });
+
+    it('clips long card text into the listing snippet', () => {
+        const $ = cheerioLoad(`<article class="box_offer"><h2><a href="/ofertas-de-trabajo/oferta-de-trabajo-de-x-0C1D2E3F4A5B6C7D">X</a></h2><p>${'palabra '.repeat(60)}</p></article>`);
+        const [card] = extractListingCards($, LISTING_URL);
+        assert.equal(card.listing_snippet.length, 300);
+        assert.ok(card.listing_snippet.endsWith('…'));
+        assert.deepEqual([card.search_url, card.search_query, card.page, card.rank, card.is_featured], [null, null, null, 1, false]);
+    });
+
+    it('ignores a data-id that is not an offer ID', () => {
+        const $ = cheerioLoad(`<article class="box_offer" data-id="undefined"><h2><a href="/ofertas-de-trabajo/oferta-de-trabajo-de-x-0C1D2E3F4A5B6C7D">X</a></h2></article>
+            <article class="box_offer" data-id="12345"><h2><a href="/empleo/cajero">Cajero</a></h2></article>`);
+        const cards = extractListingCards($, LISTING_URL);
+        assert.deepEqual(cards.map((c) => [c.job_id, c.job_id_source]), [['0C1D2E3F4A5B6C7D', 'url'], [cards[1].job_id, 'hash']]);
+        assert.match(cards[1].job_id, /^hash-/);
+    });
+});
+
+describe('listing URL helpers', () => {
+    it('strips tracking params and hashes', () => {
+        assert.equal(
+            cleanJobUrl('https://mx.computrabajo.com/ofertas-de-trabajo/oferta-de-trabajo-de-x-0C1D2E3F4A5B6C7D?utm_source=a&p=1#lc=1'),
+            'https://mx.computrabajo.com/ofertas-de-trabajo/oferta-de-trabajo-de-x-0C1D2E3F4A5B6C7D?p=1',
+        );
+    });
+
+    it('keys offers by ID, else by cleaned URL', () => {
+        assert.equal(getOfferKey('https://mx.computrabajo.com/ofertas-de-trabajo/oferta-de-trabajo-de-cajero-en-puebla-9f8e7d6c5b4a3928#lc=1'), '9F8E7D6C5B4A3928');
+        assert.equal(getOfferKey('https://mx.computrabajo.com/empleo/cajero?utm_source=a'), 'https://mx.computrabajo.com/empleo/cajero');
+    });
+
+    it('tells detail pages from listing pages', () => {
+        assert.equal(isDetailUrl('https://mx.computrabajo.com/ofertas-de-trabajo/oferta-de-trabajo-de-cajero-9F8E7D6C5B4A3928'), true);
+        assert.equal(isDetailUrl('https://mx.computrabajo.com/trabajo-de-cajero'), false);
+        assert.equal(isDetailUrl('https://mx.computrabajo.com/empleos-en-jalisco'), false);
+    });
+
+    it('follows the rel=next link', () => {
+        const request = { url: LISTING_URL, userData: { startUrl: LISTING_URL, page: 1 } };
+        assert.equal(getNextPageUrl(loadFixture('listing.html'), request), `${LISTING_URL}?p=2`);
+    });
+
+    it('falls back to the p query parameter', () => {
+        const request = { url: `${LISTING_URL}?pubdate=7`, userData: { startUrl: `${LISTING_URL}?pubdate=7`, page: 2 } };
+        assert.equal(getNextPageUrl(loadFixture('detail-jsonld.html'), request), `${LISTING_URL}?pubdate=7&p=3`);
+    });
+});
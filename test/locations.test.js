@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { normalizeLocation } from '../src/locations.js';
+import { getCountrySite } from '../src/sites.js';
+
+const MX = getCountrySite('mx');
+const place = (text) => {
+    const { all_locations, ...rest } = normalizeLocation(text, MX);
+    return rest;
+};
+
+describe('normalizeLocation', () => {
+    it('resolves municipality and state', () => {
+        assert.deepEqual(place('Zapopan, Jalisco, MX'), { city: 'Zapopan', state: 'Jalisco', state_code: 'JAL', country_code: 'MX' });
+        assert.deepEqual(place('Monterrey, Nuevo León'), { city: 'Monterrey', state: 'Nuevo León', state_code: 'NLE', country_code: 'MX' });
+    });
+
+    it('maps every Mexico City spelling to one place', () => {
+        for (const text of ['Ciudad de México', 'CDMX', 'Distrito Federal', 'México, D.F.', 'Miguel Hidalgo, CDMX', 'Coyoacán, Ciudad de Mexico']) {
+            assert.deepEqual(place(text), { city: 'Ciudad de México', state: 'Ciudad de México', state_code: 'CMX', country_code: 'MX' }, text);
+        }
+    });
+
+    it('understands state abbreviations and city aliases', () => {
+        assert.equal(place('Toluca, Edo. Méx.').state_code, 'MEX');
+        assert.equal(place('Naucalpan de Juárez, Estado de México').city, 'Naucalpan');
+        assert.deepEqual(place('Cd. Juárez, Chih.'), { city: 'Juárez', state: 'Chihuahua', state_code: 'CHH', country_code: 'MX' });
+        assert.equal(place('Cancún, Q. Roo').state_code, 'ROO');
+        assert.equal(place('San Pedro, NL').city, 'San Pedro Garza García');
+    });
+
+    it('infers the state from unambiguous cities only', () => {
+        assert.equal(place('Guadalajara').state_code, 'JAL');
+        assert.equal(place('Guadalupe').state_code, null);
+        assert.equal(place('Guadalupe, Zacatecas').state_code, 'ZAC');
+    });
+
+    it('keeps the state when the city is unknown', () => {
+        assert.deepEqual(place('Col. Centro, Puebla'), { city: null, state: 'Puebla', state_code: 'PUE', country_code: 'MX' });
+        assert.equal(place('Puebla, Puebla').city, 'Puebla');
+    });
+
+    it('falls back to state-only for municipalities outside the gazetteer', () => {
+        assert.deepEqual(place('Tequila, Jalisco'), { city: null, state: 'Jalisco', state_code: 'JAL', country_code: 'MX' });
+        // Without the state there is nothing to fall back to
+        assert.deepEqual(place('Tequila'), { city: null, state: null, state_code: null, country_code: 'MX' });
+    });
+
+    it('lists every place of multi-location postings', () => {
+        const loc = normalizeLocation('Miguel Hidalgo, CDMX | Monterrey, NL | CDMX; León, Gto.', MX);
+        assert.equal(loc.state_code, 'CMX');
+        assert.deepEqual(loc.all_locations.map((l) => `${l.city}, ${l.state_code}`), ['Ciudad de México, CMX', 'Monterrey, NLE', 'León, GUA']);
+    });
+
+    it('leaves unknown text and other countries unresolved', () => {
+        assert.deepEqual(normalizeLocation('Remoto', MX), { city: null, state: null, state_code: null, country_code: 'MX', all_locations: [] });
+        assert.deepEqual(normalizeLocation('Bogotá, D.C.', getCountrySite('co')), { city: null, state: null, state_code: null, country_code: 'CO', all_locations: [] });
+    });
+});
@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { htmlToMarkdown, splitDescriptionSections } from '../src/markdown.js';
+
+describe('htmlToMarkdown', () => {
+    it('keeps paragraphs, headings and emphasis', () => {
+        const html = '<p>Buscamos <b>Cajero</b> con <em>buena actitud</em>.</p><h3>Horario</h3><p>Lunes a viernes<br>9 a 18 h</p>';
+        assert.equal(htmlToMarkdown(html), 'Buscamos **Cajero** con *buena actitud*.\n\n### Horario\n\nLunes a viernes\n9 a 18 h');
+    });
+
+    it('renders bullet, numbered and nested lists', () => {
+        const html = '<ol><li>Entrevista</li><li>Examen<ul><li>Excel</li><li>Inglés</li></ul></li></ol><ul><li>Vales</li></ul>';
+        assert.equal(htmlToMarkdown(html), '1. Entrevista\n2. Examen\n   - Excel\n   - Inglés\n\n- Vales');
+    });
+
+    it('makes links absolute and drops unsafe ones', () => {
+        const html = '<p>Más en <a href="/empresas/acme-1A2B">nuestro perfil</a> o <a href="javascript:alert(1)">aquí</a>.</p>';
+        assert.equal(
+            htmlToMarkdown(html, 'https://mx.computrabajo.com/ofertas-de-trabajo/x'),
+            'Más en [nuestro perfil](https://mx.computrabajo.com/empresas/acme-1A2B) o aquí.',
+        );
+    });
+
+    it('keeps spaces outside emphasis markers and escapes markup characters', () => {
+        assert.equal(htmlToMarkdown('<p>Sueldo<strong> $9,000 </strong>*netos* [aprox]</p>'), 'Sueldo **$9,000** \\*netos\\* \\[aprox\\]');
+    });
+
+    it('returns null for empty input', () => {
+        assert.equal(htmlToMarkdown(''), null);
+        assert.equal(htmlToMarkdown('<p> </p>'), null);
+    });
+});
+
+describe('splitDescriptionSections', () => {
+    it('splits at bold, heading and colon headings', () => {
+        const md = [
+            'Empresa líder busca **Chofer**.',
+            '',
+            '**¿Qué harás?**',
+            '',
+            '- Entregas locales',
+            '',
+            '### Requisitos',
+            '',
+            '- Licencia tipo C',
+            '',
+            'Te ofrecemos:',
+            '- Prestaciones de ley',
+        ].join('\n');
+        assert.deepEqual(splitDescriptionSections(md), {
+            summary: 'Empresa líder busca **Chofer**.',
+            responsibilities: '- Entregas locales',
+            requirements: '- Licencia tipo C',
+            benefits: '- Prestaciones de ley',
+        });
+    });
+
+    it('leaves unknown headings inside the current section', () => {
+        const md = '**Funciones:**\n- Cobro en caja\n\n### Horario\nMatutino';
+        assert.deepEqual(splitDescriptionSections(md), { responsibilities: '- Cobro en caja\n\n### Horario\nMatutino' });
+    });
+
+    it('returns null without recognized headings', () => {
+        assert.equal(splitDescriptionSections('Solo un párrafo.\n\n### Horario\nMatutino'), null);
+        assert.equal(splitDescriptionSections(null), null);
+    });
+});
@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseQueries, queryListUniqueKey } from '../src/queries.js';
+
+const DEFAULTS = { maxResults: 50, maxPages: 10 };
+
+describe('parseQueries', () => {
+    it('returns no queries when the input is missing', () => {
+        assert.deepEqual(parseQueries({}), []);
+        assert.deepEqual(parseQueries({ queries: '' }), []);
+        assert.deepEqual(parseQueries({ queries: [] }), []);
+    });
+
+    it('builds search URLs, tags and quotas with top-level defaults', () => {
+        assert.deepEqual(parseQueries({
+            queries: [
+                { keyword: 'Contador', location: 'Jalisco', results_wanted: 20 },
+                { startUrl: 'https://co.computrabajo.com/trabajo-de-cajero', max_pages: '2', tag: ' cajeros ' },
+            ],
+        }, DEFAULTS), [
+            {
+                id: '1',
+                tag: 'Contador @ Jalisco',
+                url: 'https://mx.computrabajo.com/trabajo-de-contador-en-jalisco',
+                searchQuery: 'Contador',
+                maxResults: 20,
+                maxPages: 10,
+            },
+            {
+                id: '2',
+                tag: 'cajeros',
+                url: 'https://co.computrabajo.com/trabajo-de-cajero',
+                searchQuery: 'cajero',
+                maxResults: 50,
+                maxPages: 2,
+            },
+        ]);
+    });
+
+    it('accepts JSON text and clamps counts to at least 1', () => {
+        const [query] = parseQueries({ queries: '[{"location": "Lima", "country": "pe", "results_wanted": 0, "max_pages": -4}]' }, DEFAULTS);
+        assert.equal(query.tag, 'Lima');
+        assert.match(query.url, /^https:\/\/pe\.computrabajo\.com\//);
+        assert.equal(query.maxResults, 50);
+        assert.equal(query.maxPages, 1);
+    });
+
+    it('rejects malformed input with the offending query', () => {
+        assert.throws(() => parseQueries({ queries: '[{' }), /Invalid "queries" input: malformed JSON/);
+        assert.throws(() => parseQueries({ queries: { keyword: 'x' } }), /expected an array of query objects/);
+        assert.throws(() => parseQueries({ queries: [{ keyword: 'x' }, 'cajero'] }), /Invalid "queries" input #2: expected an object/);
+        assert.throws(() => parseQueries({ queries: [{ tag: 'vacía' }] }), /#1: provide a startUrl or a keyword \/ location/);
+        assert.throws(() => parseQueries({ queries: [{ startUrl: 'no es url' }] }), /#1: startUrl "no es url" is not a valid URL/);
+    });
+
+    it('keys listing pages by query', () => {
+        assert.notEqual(queryListUniqueKey('1', 'https://x/'), queryListUniqueKey('2', 'https://x/'));
+    });
+});
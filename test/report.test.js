@@ -0,0 +1,114 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Configuration, KeyValueStore, log } from 'crawlee';
+
+import {
+    createQualityTracker, buildRunReport, renderRunReportHtml, saveRunReport, RUN_REPORT_KEY, RUN_REPORT_HTML_KEY,
+} from '../src/report.js';
+
+Configuration.getGlobalConfig().set('persistStorage', false);
+log.setLevel(log.LEVELS.OFF);
+
+const trackerWithRecords = () => {
+    const quality = createQualityTracker();
+    quality.addRecord(
+        { title: 'Cajero', company: 'Tiendas Sol', datePosted: null, skills: [], requirements: { education_level: 'bachelor', languages: [] }, is_new: false },
+        { title: 'json-ld', company: 'css .box_header a' },
+    );
+    quality.addRecord(
+        { title: 'Chofer', company: null, datePosted: '2026-10-18', skills: ['Excel'], requirements: { education_level: null, languages: [] }, is_new: true },
+        { title: 'css h1' },
+    );
+    return quality;
+};
+
+describe('createQualityTracker', () => {
+    it('computes fill rates, one level into nested objects', () => {
+        const { records, fill_rates } = trackerWithRecords().summary();
+        assert.equal(records, 2);
+        assert.deepEqual(fill_rates.title, { filled: 2, rate: 1 });
+        assert.deepEqual(fill_rates.company, { filled: 1, rate: 0.5 });
+        assert.deepEqual(fill_rates.skills, { filled: 1, rate: 0.5 });
+        assert.deepEqual(fill_rates.is_new, { filled: 2, rate: 1 });
+        assert.deepEqual(fill_rates['requirements.education_level'], { filled: 1, rate: 0.5 });
+        assert.deepEqual(fill_rates['requirements.languages'], { filled: 0, rate: 0 });
+    });
+
+    it('counts the winning strategy per field', () => {
+        const { strategies } = trackerWithRecords().summary();
+        assert.deepEqual(strategies, {
+            title: { 'json-ld': 1, 'css h1': 1 },
+            company: { 'css .box_header a': 1 },
+        });
+    });
+
+    it('lists the failing URLs with the most errors first', () => {
+        const quality = createQualityTracker();
+        quality.addFailure({ url: 'https://a', label: 'DETAIL', retryCount: 1, errorMessages: ['x', 'y'], error: new Error('Blocked (captcha)\n  at stack') });
+        quality.addFailure({ url: 'https://b', retryCount: 3, errorMessages: ['1', '2', '3', '4'] });
+        const { top_failing_urls, failed_urls } = quality.summary();
+        assert.equal(failed_urls, 2);
+        assert.deepEqual(top_failing_urls, [
+            { url: 'https://b', label: null, retries: 3, errors: 4, last_error: '4' },
+            { url: 'https://a', label: 'DETAIL', retries: 1, errors: 2, last_error: 'Blocked (captcha)' },
+        ]);
+    });
+});
+
+describe('run report', () => {
+    const state = {
+        totalJobsSaved: 2,
+        maxResultsDesired: 50,
+        expiredOffers: 1,
+        duplicatesSkipped: 0,
+        quarantined: 0,
+        companiesSaved: 0,
+        filterReasons: { too_old: 3 },
+        pageOutcomes: { ok: 4, captcha: 1 },
+        sessionsRetired: 1,
+        queries: {
+            1: { tag: 'ventas <gdl>', search_url: 'https://mx.computrabajo.com/trabajo-de-ventas', search_query: 'ventas', wanted: 2, max_pages: 3, saved: 2, filtered: 1, duplicates_skipped: 0, pages: 2 },
+        },
+        quality: trackerWithRecords(),
+    };
+    const report = buildRunReport({
+        state,
+        stats: { requestsFinished: 5, requestsFailed: 0, requestsRetries: 1 },
+        startedAt: new Date('2026-10-19T18:00:00Z'),
+        finishedAt: new Date('2026-10-19T18:02:30Z'),
+    });
+
+    it('gathers results, requests and field quality', () => {
+        assert.equal(report.duration_secs, 150);
+        assert.deepEqual(report.results.filtered, { too_old: 3 });
+        assert.deepEqual(report.requests, { finished: 5, failed: 0, retries: 1, by_outcome: { ok: 4, captcha: 1 } });
+        assert.equal(report.sessions_retired, 1);
+        assert.deepEqual(report.queries.map((q) => [q.tag, q.saved, q.wanted]), [['ventas <gdl>', 2, 2]]);
+        assert.equal(report.fields.records, 2);
+        assert.deepEqual(report.top_failing_urls, []);
+    });
+
+    it('renders escaped HTML with the emptiest fields first', () => {
+        const html = renderRunReportHtml(report);
+        assert.match(html, /^<!DOCTYPE html>/);
+        assert.match(html, /<td>Outcome: captcha<\/td><td>1<\/td>/);
+        assert.ok(html.indexOf('<td>requirements.languages</td>') < html.indexOf('<td>title</td>'));
+        assert.match(html, /<td>ventas &lt;gdl&gt;<\/td><td>2\/2<\/td><td>2\/3<\/td>/);
+        assert.ok(!renderRunReportHtml({ ...report, queries: [] }).includes('<h2>Queries</h2>'));
+
+        const failing = renderRunReportHtml({
+            ...report,
+            top_failing_urls: [{ url: 'https://x/?q=<b>', label: null, retries: 0, errors: 1, last_error: 'a & b' }],
+        });
+        assert.ok(failing.includes('<td>https://x/?q=&lt;b&gt;</td>'));
+        assert.ok(failing.includes('<td>a &amp; b</td>'));
+    });
+
+    it('saves JSON and HTML to the default key-value store', async () => {
+        await saveRunReport(report);
+        const store = await KeyValueStore.open();
+        assert.deepEqual(await store.getValue(RUN_REPORT_KEY), report);
+        const html = await store.getValue(RUN_REPORT_HTML_KEY);
+        assert.match(String(html), /<h1>Run report<\/h1>/);
+    });
+});
@@ -0,0 +1,75 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { load } from 'cheerio';
+
+import { extractRequirements, normalizeEducation, parseExperience, parseLanguages, parseSkills } from '../src/requirements.js';
+import { loadFixture } from './helpers/fixtures.js';
+
+describe('extractRequirements', () => {
+    it('reads the Requerimientos block', () => {
+        const req = extractRequirements(loadFixture('detail-no-jsonld.html'));
+        assert.equal(req.education_level, 'technical');
+        assert.equal(req.experience_min_years, 2);
+        assert.deepEqual([req.age_min, req.age_max], [22, 40]);
+        assert.deepEqual(req.languages, [{ language: 'en', name: 'Inglés', level: 'intermediate' }]);
+        assert.deepEqual(req.skills, ['Excel', 'CONTPAQi', 'Conciliaciones bancarias']);
+        assert.equal(req.travel_required, false);
+        assert.equal(req.relocation_required, false);
+    });
+
+    it('ignores description bullets when the block exists', () => {
+        const $ = load(`
+            <ul><li>Edad: 18 a 25 años</li></ul>
+            <h3>Requerimientos</h3>
+            <ul><li>Sin experiencia</li><li>Edad: Mayor de 18 años</li><li>Disponibilidad de viajar: Sí</li></ul>`);
+        const req = extractRequirements($);
+        assert.equal(req.experience_required, false);
+        assert.deepEqual([req.age_min, req.age_max], [18, null]);
+        assert.equal(req.travel_required, true);
+    });
+
+    it('drops ages outside working age', () => {
+        const req = extractRequirements(load('<h3>Requerimientos</h3><ul><li>Edad: 0 a 45 años</li></ul>'));
+        assert.deepEqual([req.age_min, req.age_max], [null, 45]);
+        assert.deepEqual(extractRequirements(load('<ul><li>Edad: 1990</li></ul>')).age_min, null);
+    });
+
+    it('falls back to JSON-LD requirements', () => {
+        const req = extractRequirements(load('<p></p>'), {
+            educationRequirements: { '@type': 'EducationalOccupationalCredential', credentialCategory: 'bachelor degree' },
+            experienceRequirements: { '@type': 'OccupationalExperienceRequirements', monthsOfExperience: 24 },
+        });
+        assert.equal(req.education_text, 'bachelor degree');
+        assert.equal(req.experience_min_years, 2);
+        assert.equal(req.experience_required, true);
+    });
+});
+
+describe('requirement parsers', () => {
+    it('normalizes education levels', () => {
+        assert.equal(normalizeEducation('Bachillerato / Preparatoria'), 'high_school');
+        assert.equal(normalizeEducation('Licenciatura (titulado)'), 'bachelor');
+        assert.equal(normalizeEducation('Maestría'), 'master');
+        assert.equal(normalizeEducation('Educación Básica Secundaria'), 'secondary');
+        assert.equal(normalizeEducation('Otro'), null);
+    });
+
+    it('parses experience ranges', () => {
+        assert.deepEqual(parseExperience('Sin experiencia'), { experience_required: false, experience_min_years: 0, experience_max_years: null });
+        assert.deepEqual(parseExperience('2 a 4 años'), { experience_required: true, experience_min_years: 2, experience_max_years: 4 });
+        assert.deepEqual(parseExperience('Más de 5 años de experiencia'), { experience_required: true, experience_min_years: 5, experience_max_years: null });
+        assert.deepEqual(parseExperience('6 meses'), { experience_required: true, experience_min_years: 0.5, experience_max_years: null });
+    });
+
+    it('parses languages with levels', () => {
+        assert.deepEqual(parseLanguages('Inglés (Avanzado), Francés - Básico y Portugués'), [
+            { language: 'en', name: 'Inglés', level: 'advanced' },
+            { language: 'fr', name: 'Francés', level: 'basic' },
+            { language: 'pt', name: 'Portugués', level: null },
+        ]);
+    });
+
+    it('splits skills lists', () => {
+        assert.deepEqual(parseSkills('Excel, SAP / Contpaqi; excel; Manejo de personal.'), ['Excel', 'SAP', 'Contpaqi', 'Manejo de personal']);
+    });
+});
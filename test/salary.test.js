@@ -0,0 +1,107 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseSpanishNumber, detectSalaryPeriod, addMonthlySalaryEstimate, parseSalaryText } from '../src/salary.js';
+
+describe('parseSpanishNumber', () => {
+    it('handles thousands and decimal separators', () => {
+        assert.equal(parseSpanishNumber('8,000.00'), 8000);
+        assert.equal(parseSpanishNumber('8.000,50'), 8000.5);
+        assert.equal(parseSpanishNumber('1.500.000'), 1500000);
+        assert.equal(parseSpanishNumber('12,000'), 12000);
+        assert.equal(parseSpanishNumber('12,5'), 12.5);
+        assert.equal(parseSpanishNumber('10 000'), 10000);
+        assert.equal(parseSpanishNumber('abc'), null);
+    });
+});
+
+describe('detectSalaryPeriod', () => {
+    it('maps Spanish period words', () => {
+        assert.equal(detectSalaryPeriod('$120 por hora'), 'HOUR');
+        assert.equal(detectSalaryPeriod('350 por día'), 'DAY');
+        assert.equal(detectSalaryPeriod('(Diario)'), 'DAY');
+        assert.equal(detectSalaryPeriod('Pago semanal'), 'WEEK');
+        assert.equal(detectSalaryPeriod('5,000 quincenales'), 'SEMIMONTH');
+        assert.equal(detectSalaryPeriod('(Mensual)'), 'MONTH');
+        assert.equal(detectSalaryPeriod('al año'), 'YEAR');
+        assert.equal(detectSalaryPeriod('10,000'), null);
+    });
+});
+
+describe('parseSalaryText', () => {
+    it('parses ranges written with "-", "a" and "entre ... y"', () => {
+        assert.deepEqual(parseSalaryText('$8,000.00 - $12,000.00 (Mensual)', 'MXN'), {
+            salary_currency: 'MXN',
+            salary_period: 'MONTH',
+            salary_min: 8000,
+            salary_max: 12000,
+            salary_monthly_min: 8000,
+            salary_monthly_max: 12000,
+        });
+        assert.equal(parseSalaryText('de 8 a 10 mil pesos al mes', 'MXN').salary_min, 8000);
+        assert.equal(parseSalaryText('Entre 1.500.000 y 2.000.000 mensuales', 'COP').salary_max, 2000000);
+    });
+
+    it('parses single amounts with a period', () => {
+        assert.deepEqual(parseSalaryText('Sueldo: 350 por día', 'MXN'), {
+            salary_currency: 'MXN',
+            salary_period: 'DAY',
+            salary_amount: 350,
+            salary_monthly_min: 10640,
+            salary_monthly_max: 10640,
+        });
+    });
+
+    it('reads one-sided ranges and explicit currencies', () => {
+        assert.deepEqual(parseSalaryText('Hasta $10,000 quincenal', 'MXN'), {
+            salary_currency: 'MXN',
+            salary_period: 'SEMIMONTH',
+            salary_max: 10000,
+            salary_monthly_min: null,
+            salary_monthly_max: 20000,
+        });
+        const from = parseSalaryText('Desde 15k USD anuales', 'MXN');
+        assert.equal(from.salary_min, 15000);
+        assert.equal(from.salary_currency, 'USD');
+        assert.equal(from.salary_monthly_min, 1250);
+    });
+
+    it('assumes a monthly salary when no period is given', () => {
+        assert.equal(parseSalaryText('$15,000', 'MXN').salary_period, 'MONTH');
+    });
+
+    it('only reads the period next to the amount', () => {
+        assert.deepEqual(parseSalaryText('$12,000 (2 años de experiencia)', 'MXN'), {
+            salary_currency: 'MXN',
+            salary_period: 'MONTH',
+            salary_amount: 12000,
+            salary_monthly_min: 12000,
+            salary_monthly_max: 12000,
+        });
+        assert.equal(parseSalaryText('$9,000 - $11,000, experiencia mínima de un año', 'MXN').salary_monthly_max, 11000);
+        assert.equal(parseSalaryText('Pago semanal de $2,500, 1 año de experiencia', 'MXN').salary_period, 'WEEK');
+    });
+
+    it('flags undisclosed salaries', () => {
+        assert.deepEqual(parseSalaryText('A convenir', 'MXN'), { salary_undisclosed: true });
+        assert.deepEqual(parseSalaryText('Salario: No especificado'), { salary_undisclosed: true });
+    });
+
+    it('returns null for text without amounts', () => {
+        assert.equal(parseSalaryText('Atractivo paquete'), null);
+        assert.equal(parseSalaryText(''), null);
+    });
+});
+
+describe('addMonthlySalaryEstimate', () => {
+    it('converts JSON-LD periods', () => {
+        assert.deepEqual(
+            addMonthlySalaryEstimate({ salary_period: 'HOUR', salary_min: 50, salary_max: 60 }),
+            { salary_period: 'HOUR', salary_min: 50, salary_max: 60, salary_monthly_min: 10400, salary_monthly_max: 12480 },
+        );
+    });
+
+    it('leaves unknown periods untouched', () => {
+        assert.deepEqual(addMonthlySalaryEstimate({ salary_period: 'OTHER', salary_amount: 1 }), { salary_period: 'OTHER', salary_amount: 1 });
+    });
+});
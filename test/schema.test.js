@@ -0,0 +1,99 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { Configuration, Dataset, log } from 'crawlee';
+
+import {
+    validateRecord, pushValidated, toDatasetFields, JOB_RECORD_FIELDS, EXPIRED_RECORD_FIELDS, QUARANTINE_DATASET,
+} from '../src/schema.js';
+import { fixturePath } from './helpers/fixtures.js';
+
+Configuration.getGlobalConfig().set('persistStorage', false);
+log.setLevel(log.LEVELS.OFF);
+
+const goldenRecord = (name) => JSON.parse(readFileSync(fixturePath(name), 'utf8'));
+
+describe('validateRecord', () => {
+    it('accepts detail records and listing cards', () => {
+        assert.deepEqual(validateRecord(goldenRecord('detail-jsonld.expected.json')), []);
+        assert.deepEqual(validateRecord(goldenRecord('detail-no-jsonld.expected.json')), []);
+        for (const card of goldenRecord('listing.expected.json')) assert.deepEqual(validateRecord(card), []);
+    });
+
+    it('accepts expired-offer records', () => {
+        assert.deepEqual(validateRecord({
+            status: 'expired',
+            job_id: '7E6D5C4B3A291807',
+            url: 'https://mx.computrabajo.com/ofertas-de-trabajo/x-7E6D5C4B3A291807',
+            title: null,
+            expired_at: '2026-10-19T18:00:00.000Z',
+        }), []);
+    });
+
+    it('flags type drift with one reason per field', () => {
+        const record = {
+            ...goldenRecord('detail-no-jsonld.expected.json'),
+            datePosted: 'Publicado hace más de 30 días',
+            employmentType: 'Tiempo completo, de lunes a viernes de 9 a 18 h con una hora de comida, sábados medio día y rolar turnos cuando se requiera',
+            salary_min: '9000',
+            salary_period: 'Mensual',
+            requirements: { ...goldenRecord('detail-no-jsonld.expected.json').requirements, skills: ['Excel', null] },
+            salario: 9000,
+        };
+        assert.deepEqual(validateRecord(record), [
+            'datePosted: expected an ISO 8601 date, got "Publicado hace más de 30 días"',
+            'employmentType: longer than 100 characters',
+            'requirements.skills[1]: must not be null',
+            'salary_period: "Mensual" is not one of HOUR, DAY, WEEK, SEMIMONTH, MONTH, YEAR',
+            'salary_min: expected number, got "9000"',
+            'salario: unexpected field',
+        ]);
+    });
+
+    it('requires the identifying fields', () => {
+        const { job_id, title, ...rest } = goldenRecord('detail-jsonld.expected.json');
+        assert.deepEqual(validateRecord({ ...rest, title: null, url: '/relative' }), [
+            'url: not an absolute URL',
+            'job_id: missing',
+            'title: must not be null',
+        ]);
+        assert.deepEqual(validateRecord(null), ['record: expected object, got null']);
+    });
+});
+
+describe('pushValidated', () => {
+    it('quarantines invalid records with their reasons', async () => {
+        const good = goldenRecord('detail-jsonld.expected.json');
+        const bad = { ...good, job_id: 'BAD1', datePosted: 'ayer' };
+        const { valid, quarantined } = await pushValidated([good, bad]);
+        assert.deepEqual(valid, [good]);
+        assert.equal(quarantined.length, 1);
+
+        const { items } = await (await Dataset.open(QUARANTINE_DATASET)).getData();
+        assert.equal(items.length, 1);
+        assert.equal(items[0].job_id, 'BAD1');
+        assert.deepEqual(items[0].validation_errors, ['datePosted: expected an ISO 8601 date, got "ayer"']);
+        assert.ok(items[0].quarantined_at);
+        assert.deepEqual((await (await Dataset.open()).getData()).items.map((item) => item.job_id), [good.job_id]);
+    });
+});
+
+describe('dataset schema', () => {
+    const published = JSON.parse(readFileSync(new URL('../.actor/dataset_schema.json', import.meta.url), 'utf8'));
+
+    it('publishes the declared record fields', () => {
+        assert.deepEqual(published.fields, toDatasetFields());
+    });
+
+    it('only shows declared fields in its views', () => {
+        const declared = new Set([
+            ...Object.keys(JOB_RECORD_FIELDS),
+            ...Object.keys(EXPIRED_RECORD_FIELDS),
+            ...Object.keys(JOB_RECORD_FIELDS.requirements.fields).map((name) => `requirements.${name}`),
+        ]);
+        for (const view of Object.values(published.views)) {
+            for (const field of view.transformation.fields) assert.ok(declared.has(field), field);
+            assert.deepEqual(Object.keys(view.display.properties), view.transformation.fields);
+        }
+    });
+});
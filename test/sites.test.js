@@ -0,0 +1,76 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getCountrySite, setDefaultCountry, slugify, buildSearchUrl, parseSearchQuery, normalizeStartRequests } from '../src/sites.js';
+
+describe('getCountrySite', () => {
+    afterEach(() => setDefaultCountry('mx'));
+
+    it('resolves codes and site URLs', () => {
+        assert.equal(getCountrySite('co').domain, 'co.computrabajo.com');
+        assert.equal(getCountrySite('https://pe.computrabajo.com/trabajo-de-x').currency, 'PEN');
+    });
+
+    it('falls back to the default country', () => {
+        assert.equal(getCountrySite('https://example.com/').code, 'mx');
+        setDefaultCountry('cl');
+        assert.equal(getCountrySite('http://127.0.0.1:8080/').code, 'cl');
+    });
+
+    it('rejects unsupported countries', () => {
+        assert.throws(() => setDefaultCountry('es'), /Unsupported country "es"/);
+    });
+});
+
+describe('buildSearchUrl', () => {
+    it('slugs accents and spaces', () => {
+        assert.equal(slugify('  Diseñador Gráfico / Web '), 'disenador-grafico-web');
+    });
+
+    it('builds keyword, location and date URLs', () => {
+        assert.equal(
+            buildSearchUrl({ keyword: 'Asesor de ventas', location: 'Nuevo León', posted_date: '7d' }),
+            'https://mx.computrabajo.com/trabajo-de-asesor-de-ventas-en-nuevo-leon?pubdate=7',
+        );
+        assert.equal(buildSearchUrl({ location: 'CDMX' }), 'https://mx.computrabajo.com/empleos-en-distrito-federal');
+        assert.equal(buildSearchUrl({ keyword: 'Contador', country: 'co', posted_date: 'anytime' }), 'https://co.computrabajo.com/trabajo-de-contador');
+    });
+
+    it('returns null without keyword or location', () => {
+        assert.equal(buildSearchUrl({ posted_date: '24h' }), null);
+    });
+});
+
+describe('parseSearchQuery', () => {
+    it('reads the keyword back from search URLs', () => {
+        assert.equal(parseSearchQuery('https://mx.computrabajo.com/trabajo-de-asesor-de-ventas-en-nuevo-leon?pubdate=7'), 'asesor de ventas');
+        assert.equal(parseSearchQuery('https://mx.computrabajo.com/trabajo-de-contador?p=2'), 'contador');
+        assert.equal(parseSearchQuery('https://co.computrabajo.com/ofertas-de-trabajo/?q=Dise%C3%B1ador%20web'), 'Diseñador web');
+    });
+
+    it('returns null for location-only and non-search URLs', () => {
+        assert.equal(parseSearchQuery('https://mx.computrabajo.com/empleos-en-jalisco'), null);
+        assert.equal(parseSearchQuery('https://mx.computrabajo.com/ofertas-de-trabajo/oferta-de-trabajo-de-x-0C1D2E3F4A5B6C7D'), null);
+        assert.equal(parseSearchQuery('not a url'), null);
+    });
+});
+
+describe('normalizeStartRequests', () => {
+    it('accepts the supported URL shapes', () => {
+        const out = normalizeStartRequests({
+            startUrls: [{ url: 'https://mx.computrabajo.com/a' }, 'https://mx.computrabajo.com/b'],
+            urls: 'https://mx.computrabajo.com/c\nnot a url',
+        });
+        assert.deepEqual(out.map((r) => r.url), [
+            'https://mx.computrabajo.com/a',
+            'https://mx.computrabajo.com/b',
+            'https://mx.computrabajo.com/c',
+        ]);
+    });
+
+    it('falls back to the search fields', () => {
+        assert.deepEqual(normalizeStartRequests({ keyword: 'Cajero' }), [{ url: 'https://mx.computrabajo.com/trabajo-de-cajero', searchQuery: 'Cajero' }]);
+        assert.deepEqual(normalizeStartRequests({ location: 'Jalisco' }), [{ url: 'https://mx.computrabajo.com/empleos-en-jalisco', searchQuery: null }]);
+        assert.deepEqual(normalizeStartRequests({}), []);
+    });
+});
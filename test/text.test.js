@@ -0,0 +1,43 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { normText, pickFirstNonEmpty, cleanHtmlToText, stripAttrsKeepTags } from '../src/text.js';
+
+describe('normText / pickFirstNonEmpty', () => {
+    it('collapses whitespace and non-breaking spaces', () => {
+        assert.equal(normText('  Zapopan, \n Jalisco '), 'Zapopan, Jalisco');
+        assert.equal(normText(null), '');
+    });
+
+    it('returns the first non-blank value', () => {
+        assert.equal(pickFirstNonEmpty(null, '  ', 0, 'x'), '0');
+        assert.equal(pickFirstNonEmpty(undefined, ''), null);
+    });
+});
+
+describe('stripAttrsKeepTags', () => {
+    it('keeps allowed tags and only href attributes', () => {
+        const html = '<div class="x"><p style="color:red">Hola <b class="y">mundo</b></p><a href="/a" target="_blank">ver</a></div>';
+        assert.equal(stripAttrsKeepTags(html), '<p>Hola <b>mundo</b></p><a href="/a">ver</a>');
+    });
+
+    it('removes scripts, forms and hidden elements', () => {
+        const html = '<p>Visible</p><script>x()</script><p hidden>oculto</p><p aria-hidden="true">oculto</p><form><input></form>';
+        assert.equal(stripAttrsKeepTags(html), '<p>Visible</p>');
+    });
+
+    it('returns an empty string for empty input', () => {
+        assert.equal(stripAttrsKeepTags(''), '');
+        assert.equal(stripAttrsKeepTags(null), '');
+    });
+});
+
+describe('cleanHtmlToText', () => {
+    it('keeps block boundaries as spaces', () => {
+        assert.equal(cleanHtmlToText('<p>Requisitos:</p><ul><li>Inglés</li><li>Excel</li></ul>'), 'Requisitos: Inglés Excel');
+    });
+
+    it('returns null for empty input', () => {
+        assert.equal(cleanHtmlToText(''), null);
+    });
+});
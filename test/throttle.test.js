@@ -0,0 +1,137 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createAdaptiveThrottle, parseRetryAfterMs, throttleKey } from '../src/throttle.js';
+
+const KEY = 'www.computrabajo.com.mx';
+
+describe('parseRetryAfterMs', () => {
+    it('reads seconds and HTTP dates', () => {
+        const now = Date.parse('2026-10-19T18:00:00Z');
+        assert.equal(parseRetryAfterMs('30', now), 30000);
+        assert.equal(parseRetryAfterMs('Mon, 19 Oct 2026 18:01:00 GMT', now), 60000);
+        assert.equal(parseRetryAfterMs('Mon, 19 Oct 2026 17:00:00 GMT', now), 0);
+    });
+
+    it('ignores missing or malformed values', () => {
+        assert.equal(parseRetryAfterMs(undefined), null);
+        assert.equal(parseRetryAfterMs(''), null);
+        assert.equal(parseRetryAfterMs('-5'), null);
+        assert.equal(parseRetryAfterMs('pronto'), null);
+    });
+});
+
+describe('throttleKey', () => {
+    it('buckets by host and proxy group', () => {
+        assert.equal(throttleKey('https://www.computrabajo.com.mx/empleos?p=2'), KEY);
+        assert.equal(throttleKey('https://co.computrabajo.com/x', { groups: [] }), 'co.computrabajo.com');
+        assert.equal(throttleKey('https://co.computrabajo.com/x', { groups: ['RESIDENTIAL'] }), 'co.computrabajo.com via RESIDENTIAL');
+        assert.equal(throttleKey('not a url'), 'unknown');
+    });
+});
+
+describe('createAdaptiveThrottle', () => {
+    let concurrencyChanges;
+    let throttle;
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-19T18:00:00Z') });
+        concurrencyChanges = [];
+        throttle = createAdaptiveThrottle({
+            baseDelayMs: 1000,
+            maxDelayMs: 10000,
+            maxConcurrency: 8,
+            setConcurrency: (n) => concurrencyChanges.push(n),
+        });
+    });
+    afterEach(() => {
+        throttle.stop();
+        mock.timers.reset();
+    });
+
+    it('starts at the baseline delay and full concurrency', () => {
+        assert.equal(throttle.delayFor(KEY), 1000);
+        assert.equal(throttle.concurrency, 8);
+        assert.equal(throttle.pauseRemainingMs(KEY), 0);
+    });
+
+    it('widens the delay per bucket on rate limits and blocks, up to the cap', () => {
+        throttle.record(KEY, 'rate_limited');
+        assert.equal(throttle.delayFor(KEY), 2000);
+        throttle.record(KEY, 'captcha');
+        assert.equal(throttle.delayFor(KEY), 3000);
+        for (let i = 0; i < 5; i++) throttle.record(KEY, 'rate_limited');
+        assert.equal(throttle.delayFor(KEY), 10000);
+        assert.equal(throttle.delayFor('co.computrabajo.com'), 1000);
+    });
+
+    it('halves concurrency at most once per burst of bad outcomes', () => {
+        throttle.record(KEY, 'soft_block');
+        throttle.record(KEY, 'soft_block');
+        assert.deepEqual(concurrencyChanges, [4]);
+        mock.timers.tick(10000);
+        throttle.record(KEY, 'rate_limited');
+        mock.timers.tick(10000);
+        throttle.record(KEY, 'rate_limited');
+        mock.timers.tick(10000);
+        throttle.record(KEY, 'rate_limited');
+        assert.deepEqual(concurrencyChanges, [4, 2, 1]);
+        assert.equal(throttle.concurrency, 1);
+    });
+
+    it('recovers gradually while responses stay healthy', () => {
+        throttle.record(KEY, 'rate_limited');
+        throttle.record(KEY, 'rate_limited');
+        assert.equal(throttle.delayFor(KEY), 4000);
+        for (let i = 0; i < 5; i++) throttle.record(KEY, 'ok');
+        assert.equal(throttle.delayFor(KEY), 3200);
+        for (let i = 0; i < 15; i++) throttle.record(KEY, 'ok');
+        assert.equal(throttle.delayFor(KEY), 1638);
+        assert.deepEqual(concurrencyChanges, [4, 5]);
+        for (let i = 0; i < 100; i++) throttle.record(KEY, 'ok');
+        assert.equal(throttle.delayFor(KEY), 1000);
+        assert.equal(throttle.concurrency, 8);
+    });
+
+    it('pauses the bucket for Retry-After, capped at the longest wait', () => {
+        throttle.record(KEY, 'rate_limited', { retryAfter: '45' });
+        assert.equal(throttle.pauseRemainingMs(KEY), 45000);
+        mock.timers.tick(15000);
+        assert.equal(throttle.pauseRemainingMs(KEY), 30000);
+        throttle.record(KEY, 'rate_limited', { retryAfter: '3600' });
+        assert.equal(throttle.pauseRemainingMs(KEY), 60000);
+        assert.equal(throttle.pauseRemainingMs('co.computrabajo.com'), 0);
+    });
+
+    it('never sleeps longer than maxWaitMs before a navigation', async () => {
+        mock.timers.reset();
+        mock.timers.enable({ apis: ['Date', 'setTimeout'], now: Date.parse('2026-10-19T18:00:00Z') });
+        const capped = createAdaptiveThrottle({ baseDelayMs: 1000, maxDelayMs: 10000, maxWaitMs: 20000 });
+        for (let i = 0; i < 5; i++) capped.record(KEY, 'rate_limited', { retryAfter: '3600' });
+        assert.equal(capped.delayFor(KEY), 10000);
+
+        let done = false;
+        const waiting = capped.wait(KEY).then(() => { done = true; });
+        mock.timers.tick(19999);
+        await Promise.resolve();
+        assert.equal(done, false);
+        mock.timers.tick(1);
+        await waiting;
+        assert.equal(done, true);
+    });
+
+    it('widens the delay from a floor when requests are not paced', () => {
+        const unpaced = createAdaptiveThrottle({ baseDelayMs: 0, maxDelayMs: 10000 });
+        assert.equal(unpaced.delayFor(KEY), 0);
+        unpaced.record(KEY, 'rate_limited');
+        assert.equal(unpaced.delayFor(KEY), 2000);
+        for (let i = 0; i < 10; i++) unpaced.record(KEY, 'rate_limited');
+        assert.equal(unpaced.delayFor(KEY), 10000);
+        for (let i = 0; i < 100; i++) unpaced.record(KEY, 'ok');
+        assert.equal(unpaced.delayFor(KEY), 0);
+    });
+
+    it('describes the current parameters', () => {
+        throttle.record(KEY, 'rate_limited', { retryAfter: '30' });
+        assert.equal(throttle.describe(), `concurrency 4/8; ${KEY}: delay 2000ms (x2.00), 1/1 bad, paused 30s`);
+    });
+});
@@ -0,0 +1,156 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { Configuration, Dataset, log } from 'crawlee';
+
+import { parseWebhookOptions, createWebhookDelivery, signBody, DEAD_LETTER_DATASET, SIGNATURE_HEADER } from '../src/webhook.js';
+
+Configuration.getGlobalConfig().set('persistStorage', false);
+log.setLevel(log.LEVELS.OFF);
+
+// Ingestion API stand-in: records every POST; `statuses` scripts the next responses
+// ('hang' never answers)
+const startReceiver = async () => {
+    const received = [];
+    const statuses = [];
+    const server = createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            const status = statuses.shift() || 200;
+            if (status === 'hang') return;
+            res.writeHead(status);
+            res.end();
+        });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}/ingest`,
+        received,
+        statuses,
+        close: () => new Promise((resolve) => server.close(resolve)),
+    };
+};
+
+const jobs = (n) => Array.from({ length: n }, (_, i) => ({ job_id: `J${i + 1}`, title: `Job ${i + 1}` }));
+
+describe('parseWebhookOptions', () => {
+    it('is off without a URL', () => {
+        assert.equal(parseWebhookOptions({}), null);
+    });
+
+    it('normalizes the inputs', () => {
+        const opts = parseWebhookOptions({ webhookUrl: 'https://api.example.com/jobs', webhookHeaders: '{"Authorization":"Bearer x"}', webhookBatchSize: '10' });
+        assert.deepEqual(opts, {
+            url: 'https://api.example.com/jobs',
+            format: 'json',
+            headers: { authorization: 'Bearer x' },
+            secret: null,
+            batchSize: 10,
+            flushIntervalSecs: 10,
+            maxRetries: 3,
+        });
+    });
+
+    it('rejects malformed input with a clear error', () => {
+        assert.throws(() => parseWebhookOptions({ webhookUrl: 'ftp://x' }), /Invalid "webhookUrl"/);
+        assert.throws(() => parseWebhookOptions({ webhookUrl: 'https://x', webhookFormat: 'xml' }), /Invalid "webhookFormat"/);
+        assert.throws(() => parseWebhookOptions({ webhookUrl: 'https://x', webhookHeaders: '{' }), /Invalid "webhookHeaders"/);
+    });
+});
+
+describe('createWebhookDelivery', () => {
+    let receiver;
+    before(async () => {
+        receiver = await startReceiver();
+    });
+    after(async () => {
+        await receiver.close();
+    });
+    beforeEach(() => {
+        receiver.received.length = 0;
+        receiver.statuses.length = 0;
+    });
+
+    it('sends full batches as they fill and the rest on close', async () => {
+        const delivery = createWebhookDelivery({ url: receiver.url, batchSize: 2, flushIntervalSecs: 0, headers: { authorization: 'Bearer x' } });
+        delivery.push(jobs(3));
+        await delivery.close();
+
+        assert.deepEqual(receiver.received.map((r) => JSON.parse(r.body).map((j) => j.job_id)), [['J1', 'J2'], ['J3']]);
+        assert.equal(receiver.received[0].headers.authorization, 'Bearer x');
+        assert.equal(receiver.received[0].headers['content-type'], 'application/json');
+        assert.deepEqual(delivery.stats, { batchesSent: 2, recordsSent: 3, retries: 0, batchesDeadLettered: 0, recordsDeadLettered: 0 });
+    });
+
+    it('sends signed NDJSON', async () => {
+        const delivery = createWebhookDelivery({ url: receiver.url, format: 'ndjson', secret: 's3cret', flushIntervalSecs: 0 });
+        delivery.push(jobs(2));
+        await delivery.close();
+
+        const [{ headers, body }] = receiver.received;
+        assert.equal(headers['content-type'], 'application/x-ndjson');
+        assert.deepEqual(body.trim().split('\n').map((line) => JSON.parse(line).job_id), ['J1', 'J2']);
+        assert.equal(headers[SIGNATURE_HEADER], signBody(body, 's3cret'));
+    });
+
+    it('flushes partial batches on the interval', async () => {
+        const delivery = createWebhookDelivery({ url: receiver.url, batchSize: 100, flushIntervalSecs: 0.05 });
+        delivery.push(jobs(1));
+        await new Promise((resolve) => setTimeout(resolve, 200));
+        assert.equal(receiver.received.length, 1);
+        await delivery.close();
+    });
+
+    it('retries server errors, then dead-letters the batch', async () => {
+        receiver.statuses.push(503, 200);
+        const ok = createWebhookDelivery({ url: receiver.url, flushIntervalSecs: 0, retryBaseMs: 1 });
+        ok.push(jobs(1));
+        await ok.close();
+        assert.equal(receiver.received.length, 2);
+        assert.equal(ok.stats.retries, 1);
+        assert.equal(ok.stats.batchesSent, 1);
+
+        receiver.received.length = 0;
+        receiver.statuses.push(500, 500, 500);
+        const failing = createWebhookDelivery({ url: receiver.url, flushIntervalSecs: 0, maxRetries: 2, retryBaseMs: 1 });
+        failing.push(jobs(2));
+        await failing.close();
+        assert.equal(receiver.received.length, 3);
+        assert.equal(failing.stats.recordsDeadLettered, 2);
+
+        const deadLetter = await Dataset.open(DEAD_LETTER_DATASET);
+        const { items } = await deadLetter.getData();
+        await deadLetter.drop();
+        assert.equal(items.length, 1);
+        assert.equal(items[0].error, 'HTTP 500');
+        assert.deepEqual(items[0].records.map((j) => j.job_id), ['J1', 'J2']);
+    });
+
+    it('queues batches without waiting for a hanging endpoint, then times the attempt out', async () => {
+        receiver.statuses.push('hang');
+        const delivery = createWebhookDelivery({ url: receiver.url, batchSize: 1, flushIntervalSecs: 0, maxRetries: 1, retryBaseMs: 1, timeoutSecs: 0.2 });
+        const startedAt = Date.now();
+        delivery.push(jobs(1));
+        delivery.push(jobs(1));
+        assert.ok(Date.now() - startedAt < 100);
+
+        await delivery.close();
+        // The hanging attempt is aborted and retried; both batches then go through
+        assert.equal(receiver.received.length, 3);
+        assert.equal(delivery.stats.retries, 1);
+        assert.equal(delivery.stats.batchesSent, 2);
+        assert.equal(delivery.stats.batchesDeadLettered, 0);
+    });
+
+    it('does not retry client errors', async () => {
+        receiver.statuses.push(400);
+        const delivery = createWebhookDelivery({ url: receiver.url, flushIntervalSecs: 0, retryBaseMs: 1 });
+        delivery.push(jobs(1));
+        await delivery.close();
+        assert.equal(receiver.received.length, 1);
+        assert.equal(delivery.stats.batchesDeadLettered, 1);
+        await (await Dataset.open(DEAD_LETTER_DATASET)).drop();
+    });
+});